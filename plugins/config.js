@@ -1,8 +1,29 @@
 'use strict'
 
+const path = require('node:path')
 const fp = require('fastify-plugin')
 require('dotenv').config()
 
+/**
+ * Parse a JSON list of bank accounts (env var or shop metafield value)
+ * @param {string} value - JSON array of { currency, bankName, beneficiary, iban, bic }
+ * @param {Object} log - Logger
+ * @returns {Array|null} Accounts, or null when not set or not a valid list
+ */
+function parseBankAccounts(value, log) {
+  if (!value) return null
+
+  try {
+    const accounts = JSON.parse(value)
+    if (Array.isArray(accounts)) return accounts.filter(account => account && typeof account === 'object')
+  } catch (error) {
+    // Reported below
+  }
+
+  log.warn('Bank accounts are not a JSON list of accounts, ignoring')
+  return null
+}
+
 /**
  * Configuration Plugin
  * Loads and validates environment variables
@@ -26,13 +47,63 @@ module.exports = fp(async function (fastify, opts) {
       zip: process.env.MERCHANT_ZIP || '',
       city: process.env.MERCHANT_CITY || '',
       country: process.env.MERCHANT_COUNTRY || '',
+      countryCode: process.env.MERCHANT_COUNTRY_CODE || '',
       email: process.env.MERCHANT_EMAIL || '',
       phone: process.env.MERCHANT_PHONE || ''
     },
     // Invoice settings (fetched from shop metafields, env var as fallback)
     invoice: {
       prefix: process.env.INVOICE_PREFIX || 'INV-EE-',
-      bccEmail: process.env.INVOICE_BCC_EMAIL || ''
+      // Order invoices (empty: the invoice prefix followed by "O")
+      orderPrefix: process.env.INVOICE_ORDER_PREFIX || '',
+      bccEmail: process.env.INVOICE_BCC_EMAIL || '',
+      // Print shop-currency totals under quotes priced in another currency
+      showShopCurrency: process.env.INVOICE_SHOW_SHOP_CURRENCY === 'true'
+    },
+    // Quote validity (shop metafield custom.quote_validity_days takes precedence)
+    // and the sweeper that expires old quotes
+    quotes: {
+      validityDays: parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 30,
+      // Reserve quoted stock until the quote expires, unless a request says otherwise
+      reserveInventory: process.env.QUOTE_RESERVE_INVENTORY === 'true',
+      sweeper: {
+        enabled: process.env.QUOTE_SWEEPER_ENABLED === 'true',
+        intervalMinutes: parseInt(process.env.QUOTE_SWEEPER_INTERVAL_MINUTES, 10) || 60,
+        action: process.env.QUOTE_SWEEPER_ACTION === 'delete' ? 'delete' : 'tag'
+      }
+    },
+    // PDF templates: extra templates from a local directory, and the default per document kind
+    // (shop metafield custom.invoice_template takes precedence for invoices)
+    templates: {
+      directory: process.env.PDF_TEMPLATES_DIR || '',
+      invoice: process.env.INVOICE_TEMPLATE || 'invoice',
+      quote: process.env.QUOTE_TEMPLATE || 'quote'
+    },
+    // Document language when neither the payload nor the customer has a supported locale
+    // (the shop's primary locale takes precedence), and the timezone document dates are shown in
+    // (the shop's timezone takes precedence)
+    i18n: {
+      defaultLocale: process.env.DEFAULT_LOCALE || 'en',
+      timeZone: process.env.SHOP_TIMEZONE || 'UTC'
+    },
+    // Repeated quote requests within the window replay the original draft order
+    idempotency: {
+      storePath: process.env.IDEMPOTENCY_STORE_PATH || path.join(process.cwd(), 'data', 'idempotency.json'),
+      windowSeconds: parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || 3600
+    },
+    // Bank accounts printed as payment instructions, picked by document currency
+    // (shop metafield custom.bank_accounts takes precedence), and the SEPA QR code for euro payments
+    banking: {
+      accounts: parseBankAccounts(process.env.BANK_ACCOUNTS, fastify.log) || [],
+      epcQrCode: process.env.INVOICE_EPC_QR_CODE !== 'false'
+    },
+    // Buyer VAT ID validation (VIES in production, local stub elsewhere)
+    vatValidation: {
+      backend: process.env.VAT_VALIDATION_BACKEND || (process.env.NODE_ENV === 'production' ? 'vies' : 'stub'),
+      viesUrl: process.env.VIES_API_URL || 'https://ec.europa.eu/taxation_customs/vies/rest-api',
+      timeoutMs: parseInt(process.env.VIES_TIMEOUT_MS, 10) || 10000,
+      cacheTtlSeconds: parseInt(process.env.VAT_VALIDATION_CACHE_TTL_SECONDS, 10) || 86400,
+      stubInvalid: (process.env.VAT_VALIDATION_STUB_INVALID || '').split(',').map(vatId => vatId.trim()).filter(Boolean)
     },
     // Shop data will be populated from Shopify API
     shop: null
@@ -51,6 +122,11 @@ module.exports = fp(async function (fastify, opts) {
         throw new Error(`${key} must be set in production`)
       }
     }
+
+    // The stub accepts every well-formed VAT ID, which would reverse charge unverified buyers
+    if (config.vatValidation.backend === 'stub') {
+      throw new Error('VAT_VALIDATION_BACKEND=stub must not be used in production')
+    }
   }
 
   // Log configuration status (without sensitive data)
@@ -85,16 +161,43 @@ module.exports = fp(async function (fastify, opts) {
           city: shopData.billingAddress?.city || config.merchant.city || '',
           zip: shopData.billingAddress?.zip || config.merchant.zip || '',
           country: shopData.billingAddress?.country || config.merchant.country || '',
+          countryCode: shopData.billingAddress?.countryCodeV2 || config.merchant.countryCode || '',
           email: shopData.contactEmail || shopData.email || config.merchant.email || '',
           phone: shopData.billingAddress?.phone || config.merchant.phone || '',
           // VAT ID from shop metafield, with env var fallback
           vatId: shopData.vatId?.value || config.merchant.vatId || ''
         }
 
-        // Invoice prefix from shop metafield, with env var fallback
+        // Invoice prefixes from shop metafields, with env var fallback
         config.invoice = {
           ...config.invoice,
-          prefix: shopData.invoicePrefix?.value || config.invoice.prefix || 'INV-EE-'
+          prefix: shopData.invoicePrefix?.value || config.invoice.prefix || 'INV-EE-',
+          orderPrefix: shopData.orderInvoicePrefix?.value || config.invoice.orderPrefix || ''
+        }
+
+        // Quote validity from shop metafield, with env var fallback
+        config.quotes = {
+          ...config.quotes,
+          validityDays: parseInt(shopData.quoteValidityDays?.value, 10) || config.quotes.validityDays
+        }
+
+        // Default invoice template from shop metafield, with env var fallback
+        config.templates = {
+          ...config.templates,
+          invoice: shopData.invoiceTemplate?.value || config.templates.invoice
+        }
+
+        // Default document language and timezone from the shop, with env var fallback
+        config.i18n = {
+          ...config.i18n,
+          defaultLocale: shopData.primaryLocale || config.i18n.defaultLocale,
+          timeZone: shopData.ianaTimezone || config.i18n.timeZone
+        }
+
+        // Bank accounts from shop metafield, with env var fallback
+        config.banking = {
+          ...config.banking,
+          accounts: parseBankAccounts(shopData.bankAccounts?.value, fastify.log) || config.banking.accounts
         }
 
         // Warn if VAT ID is not set (required for invoices)
@@ -121,6 +224,12 @@ module.exports = fp(async function (fastify, opts) {
           email: config.merchant.email || '(empty)',
           vatId: config.merchant.vatId || '',
           invoicePrefix: config.invoice.prefix,
+          orderInvoicePrefix: config.invoice.orderPrefix || `${config.invoice.prefix}O`,
+          quoteValidityDays: config.quotes.validityDays,
+          invoiceTemplate: config.templates.invoice,
+          defaultLocale: config.i18n.defaultLocale,
+          timeZone: config.i18n.timeZone,
+          bankAccounts: config.banking.accounts.length,
           currency: shopData.currencyCode,
           hasMissingFields: missingFields.length > 0
         }, 'Merchant configuration updated with shop data and metafields')
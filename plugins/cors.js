@@ -13,16 +13,17 @@ module.exports = fp(async function (fastify, opts) {
   await fastify.register(cors, {
     origin: process.env.NODE_ENV === 'production' ? process.env.CORS_ORIGIN.split(',') : true, 
     credentials: true, 
-    methods: ['GET', 'POST'], 
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'], 
     allowedHeaders: [
       'Content-Type', 
       'Authorization', 
       'X-Requested-With',
       'ngrok-skip-browser-warning', 
       'Accept',
-      'Origin'
+      'Origin',
+      'Idempotency-Key'
     ],
-    exposedHeaders: ['Content-Length', 'X-Request-Id'], 
+    exposedHeaders: ['Content-Length', 'X-Request-Id', 'Idempotent-Replayed'], 
     maxAge: 86400 
   })
 
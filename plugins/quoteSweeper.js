@@ -0,0 +1,54 @@
+'use strict'
+
+const fp = require('fastify-plugin')
+
+/**
+ * Quote Sweeper Plugin
+ * Periodically expires open quotes past their custom.quote_expires_at date,
+ * tagging them quote-expired (or deleting them) and releasing reserved inventory
+ */
+module.exports = fp(async function (fastify, opts) {
+  const sweeper = fastify.config?.quotes?.sweeper
+
+  if (!sweeper?.enabled) {
+    fastify.log.info('Quote sweeper disabled')
+    return
+  }
+
+  let timer = null
+  let running = false
+
+  async function sweep() {
+    // Skip a tick if the previous sweep is still paging through quotes
+    if (running || !fastify.services?.draftOrder) {
+      return
+    }
+
+    running = true
+    try {
+      await fastify.services.draftOrder.sweepExpiredQuotes({ action: sweeper.action })
+    } catch (error) {
+      fastify.log.error({ error }, 'Quote sweep failed')
+    } finally {
+      running = false
+    }
+  }
+
+  // Services are registered by another plugin, so start once the app is ready
+  fastify.addHook('onReady', async function () {
+    timer = setInterval(sweep, sweeper.intervalMinutes * 60 * 1000)
+    timer.unref()
+
+    fastify.log.info({
+      intervalMinutes: sweeper.intervalMinutes,
+      action: sweeper.action
+    }, 'Quote sweeper started')
+  })
+
+  fastify.addHook('onClose', async function () {
+    clearInterval(timer)
+  })
+}, {
+  name: 'quote-sweeper',
+  dependencies: ['config']
+})
@@ -6,6 +6,14 @@ const CartService = require('../services/cart.service')
 const PdfService = require('../services/pdf.service')
 const ShopifyFileService = require('../services/shopifyFile.service')
 const InvoicePdfService = require('../services/invoicePdf.service')
+const OrderService = require('../services/order.service')
+const IdempotencyService = require('../services/idempotency.service')
+const CustomerService = require('../services/customer.service')
+const TaxService = require('../services/tax.service')
+const VatValidationService = require('../services/vatValidation.service')
+const TemplateRegistryService = require('../services/templateRegistry.service')
+const I18nService = require('../services/i18n.service')
+const PaymentInstructionsService = require('../services/paymentInstructions.service')
 
 /**
  * Services Plugin
@@ -24,20 +32,42 @@ module.exports = fp(async function (fastify, opts) {
       cart: null,
       pdf: null,
       shopifyFile: null,
-      invoicePdf: null
+      invoicePdf: null,
+      order: null,
+      idempotency: null,
+      customer: null,
+      tax: null,
+      vatValidation: null,
+      templateRegistry: null,
+      i18n: null,
+      paymentInstructions: null
     })
     return
   }
 
   // Initialize services
   const pdfService = new PdfService(fastify)
+
+  // Built-in PDF templates, plus any from the configured templates directory
+  const templateRegistry = new TemplateRegistryService(fastify)
+  if (fastify.config.templates?.directory) {
+    await templateRegistry.loadDirectory(fastify.config.templates.directory)
+  }
   
   const services = {
     draftOrder: new DraftOrderService(fastify),
     cart: new CartService(fastify),
     pdf: pdfService,
     shopifyFile: new ShopifyFileService(fastify),
-    invoicePdf: new InvoicePdfService(fastify)
+    invoicePdf: new InvoicePdfService(fastify),
+    order: new OrderService(fastify),
+    idempotency: new IdempotencyService(fastify),
+    customer: new CustomerService(fastify),
+    tax: new TaxService(fastify),
+    vatValidation: new VatValidationService(fastify),
+    templateRegistry,
+    i18n: new I18nService(fastify),
+    paymentInstructions: new PaymentInstructionsService(fastify)
   }
 
   // Decorate fastify with services
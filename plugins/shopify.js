@@ -45,7 +45,7 @@ module.exports = fp(async function (fastify, opts) {
 
   /**
    * Fetch shop data from Shopify Admin API
-   * @returns {Promise<Object>} Shop data including name, email, address, currency
+   * @returns {Promise<Object>} Shop data including name, email, address, currency and primary locale
    */
   async function fetchShopData() {
     if (!adminClient) {
@@ -60,12 +60,14 @@ module.exports = fp(async function (fastify, opts) {
           email
           contactEmail
           currencyCode
+          ianaTimezone
           billingAddress {
             address1
             address2
             city
             province
             country
+            countryCodeV2
             zip
             phone
             company
@@ -76,6 +78,18 @@ module.exports = fp(async function (fastify, opts) {
           invoicePrefix: metafield(namespace: "custom", key: "invoice_prefix") {
             value
           }
+          orderInvoicePrefix: metafield(namespace: "custom", key: "order_invoice_prefix") {
+            value
+          }
+          quoteValidityDays: metafield(namespace: "custom", key: "quote_validity_days") {
+            value
+          }
+          invoiceTemplate: metafield(namespace: "custom", key: "invoice_template") {
+            value
+          }
+          bankAccounts: metafield(namespace: "custom", key: "bank_accounts") {
+            value
+          }
         }
       }
     `
@@ -87,7 +101,10 @@ module.exports = fp(async function (fastify, opts) {
         throw new Error('Failed to fetch shop data')
       }
 
-      const shop = response.data.shop
+      const shop = {
+        ...response.data.shop,
+        primaryLocale: await fetchPrimaryLocale()
+      }
       
       fastify.log.info({
         shopName: shop.name,
@@ -101,6 +118,36 @@ module.exports = fp(async function (fastify, opts) {
     }
   }
 
+  /**
+   * Fetch the shop's primary locale
+   * shopLocales needs the read_locales scope, so it is queried apart from the shop and a
+   * failure only loses the locale (config.i18n.defaultLocale applies instead).
+   * @returns {Promise<string|null>} Primary locale (e.g., "et") or null when unavailable
+   */
+  async function fetchPrimaryLocale() {
+    const query = `
+      query {
+        shopLocales {
+          locale
+          primary
+        }
+      }
+    `
+
+    try {
+      const response = await adminClient.request(query)
+
+      if (!response.data?.shopLocales) {
+        throw new Error(response.errors?.message || 'No shop locales returned')
+      }
+
+      return response.data.shopLocales.find(shopLocale => shopLocale.primary)?.locale || null
+    } catch (error) {
+      fastify.log.warn({ error }, 'Failed to fetch shop locales (read_locales scope), using the default locale')
+      return null
+    }
+  }
+
   // Decorate fastify with Shopify clients
   fastify.decorate('shopify', {
     admin: adminClient,
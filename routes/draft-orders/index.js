@@ -5,6 +5,77 @@
  * Endpoints for creating draft orders from checkout/cart data
  */
 module.exports = async function (fastify, opts) {
+  // Schema for a shipping or billing address
+  const addressSchema = {
+    type: 'object',
+    properties: {
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      address1: { type: 'string' },
+      address2: { type: 'string' },
+      city: { type: 'string' },
+      province: { type: 'string' },
+      provinceCode: { type: 'string' },
+      country: { type: 'string' },
+      countryCode: { type: 'string' },
+      zip: { type: 'string' },
+      phone: { type: 'string' },
+      company: { type: 'string' }
+    }
+  }
+
+  // Schema for line item properties (custom attributes)
+  const propertiesSchema = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        key: { type: 'string' },
+        value: { type: 'string' }
+      }
+    }
+  }
+
+  // Schema for a manual discount, applied to the whole order or a single line
+  const appliedDiscountSchema = {
+    type: 'object',
+    required: ['value', 'valueType'],
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      value: { type: 'number', minimum: 0 },
+      valueType: { type: 'string', enum: ['PERCENTAGE', 'FIXED_AMOUNT'] }
+    }
+  }
+
+  // Schema for the chosen shipping: a rate handle from the available rates, or a custom title and price
+  const shippingLineSchema = {
+    type: 'object',
+    anyOf: [
+      { required: ['handle'] },
+      { required: ['title', 'price'] }
+    ],
+    properties: {
+      handle: { type: 'string', description: 'Shipping rate handle from the available shipping rates' },
+      title: { type: 'string' },
+      price: { type: 'number', minimum: 0 }
+    }
+  }
+
+  // Schema for requested payment terms: net days or a fixed due date, matched to the shop's templates
+  const paymentTermsSchema = {
+    type: 'object',
+    description: 'Net terms in days or a fixed due date',
+    properties: {
+      netDays: { type: 'integer', enum: [7, 15, 30, 60] },
+      dueAt: { type: 'string', format: 'date-time' }
+    },
+    oneOf: [
+      { required: ['netDays'] },
+      { required: ['dueAt'] }
+    ]
+  }
+
   // Schema for the checkout payload
   const checkoutPayloadSchema = {
     type: 'object',
@@ -12,32 +83,44 @@ module.exports = async function (fastify, opts) {
     properties: {
       checkoutToken: { type: 'string' },
       cartToken: { type: 'string' },
+      validityDays: { type: 'integer', minimum: 1, maximum: 365 },
+      reserveInventory: { type: 'boolean' },
+      template: {
+        type: 'string',
+        pattern: '^[a-z0-9][a-z0-9_-]*$',
+        description: 'Invoice template name (defaults to the shop\'s template); kept on the draft order for later PDFs'
+      },
+      paymentTerms: {
+        ...paymentTermsSchema,
+        description: 'Net terms in days or a fixed due date; company buyers default to their location\'s terms'
+      },
       cartLines: {
         type: 'array',
         minItems: 1,
         items: {
           type: 'object',
-          required: ['quantity', 'variantId'],
+          required: ['quantity'],
+          // Catalog lines need a variantId; custom (non-catalog) lines need a title and unit price
+          anyOf: [
+            { required: ['variantId'] },
+            { required: ['title', 'price'] }
+          ],
           properties: {
             id: { type: 'string' },
             quantity: { type: 'integer', minimum: 1 },
             title: { type: 'string' },
             variantTitle: { type: 'string' },
-            price: { type: 'number' },
+            price: { type: 'number', minimum: 0 },
             image: { type: 'string' },
             productId: { type: 'string' },
             variantId: { type: 'string' },
             sku: { type: 'string' },
-            properties: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  key: { type: 'string' },
-                  value: { type: 'string' }
-                }
-              }
-            }
+            taxable: {
+              type: 'boolean',
+              description: 'Whether a custom line is taxable (defaults to true)'
+            },
+            appliedDiscount: appliedDiscountSchema,
+            properties: propertiesSchema
           }
         }
       },
@@ -56,57 +139,181 @@ module.exports = async function (fastify, opts) {
         properties: {
           subtotal: { type: 'number' },
           total: { type: 'number' },
-          currency: { type: 'string' },
+          currency: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 currency code the quote is priced in' },
           discountCodes: {
             type: 'array',
             items: { type: 'string' }
-          }
+          },
+          appliedDiscount: appliedDiscountSchema
         }
       },
-      shippingAddress: {
+      shippingAddress: addressSchema,
+      billingAddress: addressSchema,
+      shippingLine: shippingLineSchema,
+      note: { type: 'string' },
+      locale: {
+        type: 'string',
+        description: 'Document language (e.g., et or et-EE); falls back to the customer\'s locale, then the shop default'
+      },
+      shop: {
         type: 'object',
         properties: {
-          firstName: { type: 'string' },
-          lastName: { type: 'string' },
-          address1: { type: 'string' },
-          address2: { type: 'string' },
-          city: { type: 'string' },
-          province: { type: 'string' },
-          provinceCode: { type: 'string' },
-          country: { type: 'string' },
-          countryCode: { type: 'string' },
-          zip: { type: 'string' },
-          phone: { type: 'string' },
-          company: { type: 'string' }
+          name: { type: 'string' },
+          domain: { type: 'string' }
         }
       },
-      billingAddress: {
+      timestamp: { type: 'string' }
+    }
+  }
+
+  // Schema for a draft order as returned by DraftOrderService.formatDraftOrderResponse
+  const draftOrderSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      status: { type: 'string' },
+      invoiceUrl: { type: 'string' },
+      totalPrice: { type: 'string' },
+      subtotalPrice: { type: 'string' },
+      totalTax: { type: 'string' },
+      currencyCode: { type: 'string' },
+      shopCurrency: {
         type: 'object',
         properties: {
-          firstName: { type: 'string' },
-          lastName: { type: 'string' },
-          address1: { type: 'string' },
-          address2: { type: 'string' },
-          city: { type: 'string' },
-          province: { type: 'string' },
-          provinceCode: { type: 'string' },
-          country: { type: 'string' },
-          countryCode: { type: 'string' },
-          zip: { type: 'string' },
-          phone: { type: 'string' },
-          company: { type: 'string' }
+          currencyCode: { type: 'string' },
+          totalPrice: { type: 'string' },
+          subtotalPrice: { type: 'string' },
+          totalTax: { type: 'string' }
         }
       },
-      note: { type: 'string' },
-      locale: { type: 'string' },
-      shop: {
+      taxExempt: { type: 'boolean' },
+      taxLines: { type: 'array', items: { type: 'object' } },
+      appliedDiscount: { type: ['object', 'null'] },
+      discountCodes: { type: 'array', items: { type: 'string' } },
+      totalDiscountsSet: { type: ['object', 'null'] },
+      shippingLine: { type: ['object', 'null'] },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' },
+      customer: { type: ['object', 'null'] },
+      shippingAddress: { type: ['object', 'null'] },
+      billingAddress: { type: ['object', 'null'] },
+      lineItems: { type: 'object' },
+      company: {
+        type: ['object', 'null'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          vatId: { type: 'string' },
+          countryCode: { type: ['string', 'null'] },
+          locationId: { type: ['string', 'null'] },
+          contactId: { type: ['string', 'null'] }
+        }
+      },
+      email: { type: ['string', 'null'] },
+      tags: { type: 'array', items: { type: 'string' } },
+      customAttributes: propertiesSchema,
+      quotePdf: {
         type: 'object',
+        properties: {
+          url: { type: ['string', 'null'] },
+          generatedAt: { type: ['string', 'null'] }
+        }
+      },
+      expiresAt: { type: ['string', 'null'] },
+      template: { type: ['string', 'null'] },
+      locale: { type: ['string', 'null'] },
+      reserveInventoryUntil: { type: ['string', 'null'] },
+      paymentTerms: {
+        type: ['object', 'null'],
         properties: {
           name: { type: 'string' },
-          domain: { type: 'string' }
+          type: { type: 'string' },
+          dueInDays: { type: ['integer', 'null'] },
+          issuedAt: { type: ['string', 'null'] },
+          dueAt: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+
+  // Schema for an available shipping rate
+  const shippingRateSchema = {
+    type: 'object',
+    properties: {
+      handle: { type: 'string' },
+      title: { type: 'string' },
+      price: { type: 'string' },
+      currencyCode: { type: 'string' }
+    }
+  }
+
+  // Schema for a dry-run quote calculation (draftOrderCalculate)
+  const calculationSchema = {
+    type: 'object',
+    properties: {
+      currencyCode: { type: 'string' },
+      subtotal: { type: 'string' },
+      taxes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            rate: { type: 'number' },
+            amount: { type: 'string' }
+          }
         }
       },
-      timestamp: { type: 'string' }
+      totalTax: { type: 'string' },
+      discounts: {
+        type: 'object',
+        properties: {
+          total: { type: 'string' },
+          appliedDiscount: { type: ['object', 'null'], additionalProperties: true },
+          discountCodes: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      shipping: {
+        type: 'object',
+        properties: {
+          line: {
+            type: ['object', 'null'],
+            properties: {
+              title: { type: 'string' },
+              handle: { type: ['string', 'null'] },
+              price: { type: 'string' }
+            }
+          },
+          total: { type: 'string' },
+          options: { type: 'array', items: shippingRateSchema }
+        }
+      },
+      total: { type: 'string' },
+      lineItems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            variantId: { type: ['string', 'null'] },
+            sku: { type: 'string' },
+            quantity: { type: 'integer' },
+            unitPrice: { type: 'string' },
+            total: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+
+  // Schema for error responses
+  const errorResponseSchema = {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      error: { type: 'string' },
+      message: { type: 'string' }
     }
   }
 
@@ -115,7 +322,9 @@ module.exports = async function (fastify, opts) {
     schema: {
       description: 'Create a draft order from checkout/cart data. ' +
                    'If cartToken is provided, it will fetch the latest cart data from Storefront API. ' +
-                   'Otherwise, it will use the data provided in the payload.',
+                   'Otherwise, it will use the data provided in the payload. ' +
+                   'Repeating a request with the same Idempotency-Key header (default: cartToken) ' +
+                   'returns the original draft order.',
       tags: ['draft-orders'],
       body: checkoutPayloadSchema,
       response: {
@@ -123,42 +332,14 @@ module.exports = async function (fastify, opts) {
           type: 'object',
           properties: {
             success: { type: 'boolean' },
-            draftOrder: {
-              type: 'object',
-              properties: {
-                id: { type: 'string' },
-                name: { type: 'string' },
-                status: { type: 'string' },
-                invoiceUrl: { type: 'string' },
-                totalPrice: { type: 'string' },
-                subtotalPrice: { type: 'string' },
-                totalTax: { type: 'string' },
-                currencyCode: { type: 'string' },
-                createdAt: { type: 'string' },
-                customer: { type: 'object' },
-                shippingAddress: { type: 'object' },
-                lineItems: { type: 'object' }
-              }
-            },
-            message: { type: 'string' }
-          }
-        },
-        400: {
-          type: 'object',
-          properties: {
-            success: { type: 'boolean' },
-            error: { type: 'string' },
+            draftOrder: draftOrderSchema,
             message: { type: 'string' }
           }
         },
-        500: {
-          type: 'object',
-          properties: {
-            success: { type: 'boolean' },
-            error: { type: 'string' },
-            message: { type: 'string' }
-          }
-        }
+        400: errorResponseSchema,
+        403: errorResponseSchema,
+        422: errorResponseSchema,
+        500: errorResponseSchema
       }
     }
   }, async function (request, reply) {
@@ -183,22 +364,53 @@ module.exports = async function (fastify, opts) {
         hasCustomer: !!payload.customer?.email
       }, 'Creating draft order from checkout data')
 
-      // Process the checkout data and create draft order
-      const draftOrder = await fastify.services.draftOrder.processCheckoutData(payload)
+      // Process the checkout data and create draft order (once per idempotency key)
+      const { result: draftOrder, replayed } = await fastify.services.idempotency.runOnce(
+        'draft-orders',
+        request,
+        () => fastify.services.draftOrder.processCheckoutData(payload)
+      )
+
+      if (replayed) {
+        reply.header('Idempotent-Replayed', 'true')
+      }
 
       // Return success response
       reply.code(201)
       return {
         success: true,
         draftOrder,
-        message: 'Draft order created successfully'
+        message: replayed
+          ? 'Draft order already created for this request'
+          : 'Draft order created successfully'
       }
     } catch (error) {
       fastify.log.error({ error }, 'Failed to create draft order')
 
+      if (error.message.includes('Company access denied')) {
+        reply.code(403)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Customer has no access to this company or location'
+        }
+      }
+
+      if (error.message.includes('Idempotency key conflict')) {
+        reply.code(422)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Idempotency-Key was reused with a different payload'
+        }
+      }
+
       // Determine if it's a validation error or server error
       if (error.message.includes('No line items') || 
-          error.message.includes('Draft order creation failed')) {
+          error.message.includes('Draft order creation failed') ||
+          error.message.includes('Payment terms unavailable') ||
+          error.message.includes('Company location required') ||
+          error.message.includes('Template not found')) {
         reply.code(400)
         return {
           success: false,
@@ -217,6 +429,950 @@ module.exports = async function (fastify, opts) {
     }
   })
 
+  // POST /draft-orders/calculate - Preview quote totals without creating a draft order
+  fastify.post('/calculate', {
+    schema: {
+      description: 'Calculate taxes, discounts, shipping options and totals for a checkout payload ' +
+                   'without creating a draft order. Accepts the same body as POST /draft-orders.',
+      tags: ['draft-orders'],
+      body: checkoutPayloadSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            calculation: calculationSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        403: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const payload = request.body
+
+      fastify.log.info({
+        cartToken: payload.cartToken,
+        lineItemsCount: payload.cartLines?.length
+      }, 'Calculating quote')
+
+      const calculation = await fastify.services.draftOrder.calculateQuote(payload)
+
+      return {
+        success: true,
+        calculation,
+        message: 'Quote calculated successfully'
+      }
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to calculate quote')
+
+      if (error.message.includes('Company access denied')) {
+        reply.code(403)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Customer has no access to this company or location'
+        }
+      }
+
+      if (error.message.includes('No line items') ||
+          error.message.includes('Draft order calculation failed') ||
+          error.message.includes('Payment terms unavailable') ||
+          error.message.includes('Company location required') ||
+          error.message.includes('Template not found')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to calculate quote'
+      }
+    }
+  })
+
+  // GET /draft-orders - List and search quote draft orders
+  fastify.get('/', {
+    schema: {
+      description: 'List draft orders tagged quote-request, newest first, with cursor pagination. ' +
+                   'Pass `after` (endCursor) for the next page or `before` (startCursor) for the previous one. ' +
+                   'The company filter is applied to each page, so a filtered page may hold fewer quotes than requested.',
+      tags: ['draft-orders'],
+      querystring: {
+        type: 'object',
+        properties: {
+          first: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          after: { type: 'string' },
+          before: { type: 'string' },
+          email: { type: 'string', description: 'Customer email (exact match)' },
+          company: { type: 'string', description: 'B2B purchasing company name or ID' },
+          status: { type: 'string', enum: ['OPEN', 'INVOICE_SENT', 'COMPLETED'] },
+          createdFrom: {
+            type: 'string',
+            anyOf: [{ format: 'date' }, { format: 'date-time' }],
+            description: 'Earliest creation date (ISO 8601 date or date-time)'
+          },
+          createdTo: {
+            type: 'string',
+            anyOf: [{ format: 'date' }, { format: 'date-time' }],
+            description: 'Latest creation date (ISO 8601 date or date-time)'
+          },
+          cartApi: { type: 'boolean', description: 'Only (true) or exclude (false) quotes created from a cart token' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            draftOrders: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  status: { type: 'string' },
+                  email: { type: ['string', 'null'] },
+                  tags: { type: 'array', items: { type: 'string' } },
+                  createdAt: { type: 'string' },
+                  updatedAt: { type: 'string' },
+                  invoiceSentAt: { type: ['string', 'null'] },
+                  totalPrice: { type: 'string' },
+                  currencyCode: { type: 'string' },
+                  customer: { type: ['object', 'null'] },
+                  company: { type: ['object', 'null'] },
+                  quotePdfUrl: { type: ['string', 'null'] },
+                  expiresAt: { type: ['string', 'null'] },
+                  reserveInventoryUntil: { type: ['string', 'null'] },
+                  paymentTerms: {
+                    type: ['object', 'null'],
+                    properties: {
+                      name: { type: 'string' },
+                      type: { type: 'string' },
+                      dueInDays: { type: ['integer', 'null'] },
+                      issuedAt: { type: ['string', 'null'] },
+                      dueAt: { type: ['string', 'null'] }
+                    }
+                  }
+                }
+              }
+            },
+            pageInfo: {
+              type: 'object',
+              properties: {
+                hasNextPage: { type: 'boolean' },
+                hasPreviousPage: { type: 'boolean' },
+                startCursor: { type: ['string', 'null'] },
+                endCursor: { type: ['string', 'null'] }
+              }
+            }
+          }
+        },
+        400: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      // Check if services are available
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const { first, after, before, ...filters } = request.query
+
+      if (after && before) {
+        reply.code(400)
+        return {
+          success: false,
+          error: 'Only one of after or before may be provided',
+          message: 'Invalid request data'
+        }
+      }
+
+      const result = await fastify.services.draftOrder.listDraftOrders({ first, after, before, filters })
+
+      return {
+        success: true,
+        ...result
+      }
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to list draft orders')
+
+      if (error.message.includes('Invalid filter')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to list draft orders'
+      }
+    }
+  })
+
+  // GET /draft-orders/:id - Read back a draft order (quote)
+  fastify.get('/:id', {
+    schema: {
+      description: 'Fetch a draft order by ID, including the attached quote PDF URL and its generation timestamp. ' +
+                   'Accepts either a numeric ID or a Shopify draft order GID.',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: {
+            type: 'string',
+            description: 'Numeric draft order ID or GID (e.g., gid://shopify/DraftOrder/123456789)'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            draftOrder: draftOrderSchema
+          }
+        },
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      // Check if services are available
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const draftOrder = await fastify.services.draftOrder.fetchDraftOrderById(request.params.id)
+
+      return {
+        success: true,
+        draftOrder
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to fetch draft order')
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      // Server error
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to fetch draft order'
+      }
+    }
+  })
+
+  // PATCH /draft-orders/:id - Edit an existing quote
+  fastify.patch('/:id', {
+    schema: {
+      description: 'Update an existing draft order. Line item changes are merged into the current lines: ' +
+                   'a line named by its id (or an existing variant) gets the new quantity, a new variant or custom title and price ' +
+                   'is added and quantity 0 removes it. Lines keep their quoted price unless a new price is given. ' +
+                   'Addresses and the shipping line are replaced as a whole. Changing the addresses or the ' +
+                   'purchasing company re-evaluates whether the quote is reverse charged.',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          lineItems: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['quantity'],
+              // A current line by its id (needed for custom lines) or variant, or a new custom line
+              anyOf: [
+                { required: ['id'] },
+                { required: ['variantId'] },
+                { required: ['title', 'price'] }
+              ],
+              properties: {
+                id: { type: 'string', description: 'Draft order line item ID' },
+                variantId: { type: 'string' },
+                title: { type: 'string' },
+                price: { type: 'number', minimum: 0 },
+                quantity: { type: 'integer', minimum: 0 },
+                properties: propertiesSchema
+              }
+            }
+          },
+          shippingAddress: addressSchema,
+          billingAddress: addressSchema,
+          purchasingEntity: {
+            type: 'object',
+            description: 'B2B company and location the quote is for; the customer must be a contact of the company',
+            required: ['company'],
+            properties: {
+              company: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: { type: 'string' } }
+              },
+              location: {
+                type: 'object',
+                description: 'Defaults to the company\'s only location, else the customer\'s custom.default_company_location metafield',
+                required: ['id'],
+                properties: { id: { type: 'string' } }
+              }
+            }
+          },
+          shippingLine: shippingLineSchema,
+          paymentTerms: {
+            ...paymentTermsSchema,
+            description: 'Net terms in days or a fixed due date; without them a new company location brings its default terms'
+          },
+          note: { type: 'string' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            draftOrder: draftOrderSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        403: errorResponseSchema,
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      // Check if services are available
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      fastify.log.info({
+        draftOrderId: request.params.id,
+        lineItemChanges: request.body.lineItems?.length || 0
+      }, 'Updating draft order')
+
+      const draftOrder = await fastify.services.draftOrder.updateDraftOrder(request.params.id, request.body)
+
+      return {
+        success: true,
+        draftOrder,
+        message: 'Draft order updated successfully'
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to update draft order')
+
+      if (error.message.includes('Company access denied')) {
+        reply.code(403)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Customer has no access to this company or location'
+        }
+      }
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      if (error.message.includes('Draft order update failed') ||
+          error.message.includes('Payment terms unavailable') ||
+          error.message.includes('Company location required')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      // Server error
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to update draft order'
+      }
+    }
+  })
+
+  // POST /draft-orders/:id/reservation - Reserve or extend the reservation of a quote's inventory
+  fastify.post('/:id/reservation', {
+    schema: {
+      description: 'Reserve the quoted inventory, or extend an existing reservation. ' +
+                   'Without a body the reservation runs until the quote expires; ' +
+                   'reserving past the expiry extends the quote validity to match.',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      body: {
+        type: ['object', 'null'],
+        properties: {
+          until: { type: 'string', format: 'date-time' },
+          days: { type: 'integer', minimum: 1, maximum: 365 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            draftOrder: draftOrderSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const { until, days } = request.body || {}
+
+      if (until && days) {
+        reply.code(400)
+        return {
+          success: false,
+          error: 'Use either until or days, not both',
+          message: 'Invalid request data'
+        }
+      }
+
+      const draftOrder = await fastify.services.draftOrder.reserveInventory(request.params.id, { until, days })
+
+      return {
+        success: true,
+        draftOrder,
+        message: 'Inventory reserved successfully'
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to reserve inventory')
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      if (error.message.includes('Inventory reservation failed') ||
+          error.message.includes('Draft order update failed')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to reserve inventory'
+      }
+    }
+  })
+
+  // DELETE /draft-orders/:id/reservation - Release a quote's inventory reservation
+  fastify.delete('/:id/reservation', {
+    schema: {
+      description: 'Release the inventory reserved for a quote',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            draftOrder: draftOrderSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const draftOrder = await fastify.services.draftOrder.releaseInventory(request.params.id)
+
+      return {
+        success: true,
+        draftOrder,
+        message: 'Inventory reservation released'
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to release inventory')
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      if (error.message.includes('Draft order update failed')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to release inventory'
+      }
+    }
+  })
+
+  // GET /draft-orders/:id/shipping-rates - Shipping rates available for a quote's address
+  fastify.get('/:id/shipping-rates', {
+    schema: {
+      description: 'List the shipping rates available for a draft order\'s lines and shipping address. ' +
+                   'Pass a rate handle as shippingLine.handle to PATCH /draft-orders/:id to select it.',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            shippingRates: {
+              type: 'array',
+              items: shippingRateSchema
+            }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      // Check if services are available
+      if (!fastify.services || !fastify.services.draftOrder) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const shippingRates = await fastify.services.draftOrder.fetchAvailableShippingRates(request.params.id)
+
+      return {
+        success: true,
+        shippingRates
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to fetch shipping rates')
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      if (error.message.includes('Shipping rates unavailable')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      // Server error
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to fetch shipping rates'
+      }
+    }
+  })
+
+  // POST /draft-orders/:id/complete - Convert an accepted quote into an order
+  fastify.post('/:id/complete', {
+    schema: {
+      description: 'Complete a draft order, turning the quote into an order. ' +
+                   'Optionally sets B2B payment terms first. Regenerates the VAT invoice PDF against the ' +
+                   'resulting order so the invoice number matches the order, and attaches it to the order.',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          paymentStatus: {
+            type: 'string',
+            enum: ['pending', 'paid'],
+            default: 'pending',
+            description: 'Whether the order is created with payment pending or marked as paid'
+          },
+          paymentTerms: {
+            ...paymentTermsSchema,
+            description: 'B2B payment terms to set before completing, as net days (e.g. 30) or a fixed due date'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            order: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' }
+              }
+            },
+            draftOrder: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                status: { type: 'string' }
+              }
+            },
+            invoicePdf: {
+              type: 'object',
+              properties: {
+                status: { type: 'string' },
+                url: { type: ['string', 'null'] }
+              }
+            },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      // Check if services are available
+      if (!fastify.services || !fastify.services.draftOrder || !fastify.services.order) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const { paymentStatus = 'pending', paymentTerms } = request.body || {}
+
+      if (paymentTerms && paymentStatus === 'paid') {
+        reply.code(400)
+        return {
+          success: false,
+          error: 'Payment terms can only be used when payment is pending',
+          message: 'Invalid request data'
+        }
+      }
+
+      fastify.log.info({
+        draftOrderId: request.params.id,
+        paymentStatus,
+        hasPaymentTerms: !!paymentTerms
+      }, 'Completing draft order')
+
+      // Step 1: Complete the draft order
+      const { draftOrder, order } = await fastify.services.draftOrder.completeDraftOrder(request.params.id, {
+        paymentPending: paymentStatus === 'pending',
+        paymentTerms
+      })
+
+      // Step 2: Regenerate the invoice PDF against the completed order
+      let invoicePdf = { status: 'pdf_failed', url: null }
+      try {
+        const completedOrder = await fastify.services.order.fetchOrderById(order.id)
+        invoicePdf = await fastify.services.invoicePdf.generateAndAttachOrderPdf(completedOrder)
+      } catch (error) {
+        // The order exists at this point, so a PDF failure must not fail the request
+        fastify.log.error({ error, orderId: order.id }, 'Failed to regenerate invoice PDF for completed order')
+      }
+
+      return {
+        success: true,
+        order,
+        draftOrder,
+        invoicePdf,
+        message: 'Draft order completed successfully'
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to complete draft order')
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      if (error.message.includes('Draft order completion failed') ||
+          error.message.includes('Payment terms unavailable')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      // Server error
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to complete draft order'
+      }
+    }
+  })
+
+  // POST /draft-orders/:id/duplicate - Re-quote by duplicating an existing draft order
+  fastify.post('/:id/duplicate', {
+    schema: {
+      description: 'Duplicate a draft order as a new quote, keeping its B2B purchasing entity, addresses and ' +
+                   'custom attributes. Optionally re-prices variant lines against current catalog prices. ' +
+                   'Old and new quotes are linked through custom.requoted_to / custom.requoted_from metafields, ' +
+                   'and a fresh VAT invoice PDF is attached to the new quote.',
+      tags: ['draft-orders'],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          reprice: {
+            type: 'boolean',
+            default: false,
+            description: 'Re-price variant lines against current catalog prices'
+          }
+        }
+      },
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            draftOrder: draftOrderSchema,
+            originalDraftOrderId: { type: 'string' },
+            invoicePdf: {
+              type: 'object',
+              properties: {
+                status: { type: 'string' },
+                url: { type: ['string', 'null'] }
+              }
+            },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        500: errorResponseSchema
+      }
+    }
+  }, async function (request, reply) {
+    try {
+      // Check if services are available
+      if (!fastify.services || !fastify.services.draftOrder || !fastify.services.invoicePdf) {
+        reply.code(500)
+        return {
+          success: false,
+          error: 'Shopify services not configured',
+          message: 'Please configure Shopify API credentials'
+        }
+      }
+
+      const { reprice = false } = request.body || {}
+
+      fastify.log.info({ draftOrderId: request.params.id, reprice }, 'Duplicating draft order')
+
+      // Step 1: Duplicate the draft order and carry over the original's context
+      const { draftOrder, originalDraftOrderId } = await fastify.services.draftOrder.duplicateDraftOrder(
+        request.params.id,
+        { reprice }
+      )
+
+      // Step 2: Replace the copied PDF with one for the new quote
+      const invoicePdf = await fastify.services.invoicePdf.generateAndAttachPdf(draftOrder, null)
+
+      reply.code(201)
+      return {
+        success: true,
+        draftOrder: {
+          ...draftOrder,
+          quotePdf: {
+            url: invoicePdf.url,
+            generatedAt: invoicePdf.url ? new Date().toISOString() : null
+          }
+        },
+        originalDraftOrderId,
+        invoicePdf,
+        message: 'Draft order duplicated successfully'
+      }
+    } catch (error) {
+      fastify.log.error({ error, draftOrderId: request.params.id }, 'Failed to duplicate draft order')
+
+      if (error.message.includes('not found')) {
+        reply.code(404)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Draft order not found'
+        }
+      }
+
+      if (error.message.includes('Draft order duplication failed') ||
+          error.message.includes('Draft order update failed')) {
+        reply.code(400)
+        return {
+          success: false,
+          error: error.message,
+          message: 'Invalid request data'
+        }
+      }
+
+      // Server error
+      reply.code(500)
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to duplicate draft order'
+      }
+    }
+  })
+
   // GET /draft-orders/health - Health check endpoint
   fastify.get('/health', {
     schema: {
@@ -5,6 +5,43 @@
  * Generate VAT invoice PDFs and upload them to Shopify CDN
  */
 module.exports = async function (fastify, opts) {
+  // Schema validation errors use this route's error shape ({ status, url, error }),
+  // which its response schemas require; other errors keep the default handling
+  fastify.setErrorHandler(function (error, request, reply) {
+    if (error.validation) {
+      reply.code(400).send({ status: 'error', url: null, error: error.message })
+      return
+    }
+
+    reply.send(error)
+  })
+
+  // Schema for a manual discount, applied to the whole order or a single line
+  const appliedDiscountSchema = {
+    type: 'object',
+    required: ['value', 'valueType'],
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      value: { type: 'number', minimum: 0 },
+      valueType: { type: 'string', enum: ['PERCENTAGE', 'FIXED_AMOUNT'] }
+    }
+  }
+
+  // Schema for the chosen shipping: a rate handle from the available rates, or a custom title and price
+  const shippingLineSchema = {
+    type: 'object',
+    anyOf: [
+      { required: ['handle'] },
+      { required: ['title', 'price'] }
+    ],
+    properties: {
+      handle: { type: 'string', description: 'Shipping rate handle from the available shipping rates' },
+      title: { type: 'string' },
+      price: { type: 'number', minimum: 0 }
+    }
+  }
+
   // Request payload schema
   const printQuotePayloadSchema = {
     type: 'object',
@@ -12,22 +49,51 @@ module.exports = async function (fastify, opts) {
     properties: {
       checkoutToken: { type: 'string' },
       cartToken: { type: 'string' },
+      validityDays: { type: 'integer', minimum: 1, maximum: 365 },
+      reserveInventory: { type: 'boolean' },
+      template: {
+        type: 'string',
+        pattern: '^[a-z0-9][a-z0-9_-]*$',
+        description: 'Invoice template name (defaults to the shop\'s template); kept on the draft order for later PDFs'
+      },
+      paymentTerms: {
+        type: 'object',
+        description: 'Net terms in days or a fixed due date; company buyers default to their location\'s terms',
+        properties: {
+          netDays: { type: 'integer', enum: [7, 15, 30, 60] },
+          dueAt: { type: 'string', format: 'date-time' }
+        },
+        oneOf: [
+          { required: ['netDays'] },
+          { required: ['dueAt'] }
+        ]
+      },
       cartLines: {
         type: 'array',
         minItems: 1,
         items: {
           type: 'object',
-          required: ['quantity', 'variantId'],
+          required: ['quantity'],
+          // Catalog lines need a variantId; custom (non-catalog) lines need a title and unit price
+          anyOf: [
+            { required: ['variantId'] },
+            { required: ['title', 'price'] }
+          ],
           properties: {
             id: { type: 'string' },
             quantity: { type: 'integer', minimum: 1 },
             title: { type: 'string' },
             variantTitle: { type: 'string' },
-            price: { type: 'number' },
+            price: { type: 'number', minimum: 0 },
             image: { type: 'string' },
             productId: { type: 'string' },
             variantId: { type: 'string' },
             sku: { type: 'string' },
+            taxable: {
+              type: 'boolean',
+              description: 'Whether a custom line is taxable (defaults to true)'
+            },
+            appliedDiscount: appliedDiscountSchema,
             properties: {
               type: 'array',
               items: {
@@ -56,11 +122,12 @@ module.exports = async function (fastify, opts) {
         properties: {
           subtotal: { type: 'number' },
           total: { type: 'number' },
-          currency: { type: 'string' },
+          currency: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 currency code the quote is priced in' },
           discountCodes: {
             type: 'array',
             items: { type: 'string' }
-          }
+          },
+          appliedDiscount: appliedDiscountSchema
         }
       },
       shippingAddress: {
@@ -97,8 +164,12 @@ module.exports = async function (fastify, opts) {
           company: { type: 'string' }
         }
       },
+      shippingLine: shippingLineSchema,
       note: { type: 'string' },
-      locale: { type: 'string' },
+      locale: {
+        type: 'string',
+        description: 'Document language (e.g., et or et-EE); falls back to the customer\'s locale, then the shop default'
+      },
       shop: {
         type: 'object',
         properties: {
@@ -113,7 +184,8 @@ module.exports = async function (fastify, opts) {
   // POST /print-quote - Create a draft order and generate VAT Invoice PDF
   fastify.post('/', {
     schema: {
-      description: 'Generate a VAT Invoice PDF from cart data. Creates a draft order. Triggers invoice sending and PDF generation in background. Returns immediately.',
+      description: 'Generate a VAT Invoice PDF from cart data. Creates a draft order. Triggers invoice sending and PDF generation in background. Returns immediately. ' +
+                   'Repeating a request with the same Idempotency-Key header (default: cartToken) returns the original draft order and PDF job.',
       tags: ['print-quote'],
       body: printQuotePayloadSchema,
       response: {
@@ -121,6 +193,14 @@ module.exports = async function (fastify, opts) {
           type: 'object',
           properties: {
             status: { type: 'string' },
+            draftOrderId: { type: 'string' },
+            pdf: {
+              type: 'object',
+              properties: {
+                status: { type: 'string' },
+                url: { type: ['string', 'null'] }
+              }
+            }
           }
         },
         400: {
@@ -132,6 +212,22 @@ module.exports = async function (fastify, opts) {
             error: { type: 'string' }
           }
         },
+        403: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            url: { type: 'null' },
+            error: { type: 'string' }
+          }
+        },
+        422: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            url: { type: 'null' },
+            error: { type: 'string' }
+          }
+        },
         500: {
           type: 'object',
           properties: {
@@ -164,22 +260,49 @@ module.exports = async function (fastify, opts) {
         hasCustomer: !!payload.customer?.email
       }, 'Creating print quote with draft order')
 
-      // Step 1: Create draft order
-      const draftOrder = await fastify.services.draftOrder.processCheckoutData(payload)
+      // Step 1: Create draft order (once per idempotency key)
+      const { result: quote, replayed, idempotencyKey } = await fastify.services.idempotency.runOnce(
+        'print-quote',
+        request,
+        async () => ({
+          draftOrder: await fastify.services.draftOrder.processCheckoutData(payload),
+          pdf: { status: 'pending', url: null }
+        })
+      )
+      const { draftOrder } = quote
 
       // Step 2: Return response immediately
+      if (replayed) {
+        reply.header('Idempotent-Replayed', 'true')
+      }
+
       reply.code(201).send({
         status: 'success',
+        draftOrderId: draftOrder.id,
+        pdf: quote.pdf
       })
 
+      // A replayed request reuses the original PDF job instead of starting another one
+      if (replayed) {
+        return reply
+      }
+
       // Step 3: Background operations (Send Invoice & Generate PDF)
       ;(async () => {
+        let pdfRecorded = false
+
         try {
           fastify.log.info({ draftOrderId: draftOrder.id }, 'Starting background operations for print quote')
 
           // Generate and attach PDF using shared service
           if (fastify.services.invoicePdf) {
-            await fastify.services.invoicePdf.generateAndAttachPdf(draftOrder, payload)
+            const pdf = await fastify.services.invoicePdf.generateAndAttachPdf(draftOrder, payload)
+
+            // Record the PDF job result for replays of this request
+            if (idempotencyKey) {
+              await fastify.services.idempotency.updateResult('print-quote', idempotencyKey, { pdf })
+              pdfRecorded = true
+            }
           }
 
           // Trigger send invoice mutation
@@ -190,6 +313,15 @@ module.exports = async function (fastify, opts) {
 
           fastify.log.info({ draftOrderId: draftOrder.id }, 'Background operations completed successfully')
         } catch (error) {
+          // Replays must not report a PDF job that will never finish
+          if (idempotencyKey && !pdfRecorded) {
+            await fastify.services.idempotency.updateResult('print-quote', idempotencyKey, {
+              pdf: { status: 'pdf_failed', url: null }
+            }).catch(updateError => {
+              fastify.log.error({ error: updateError, draftOrderId: draftOrder.id }, 'Failed to record the PDF job failure')
+            })
+          }
+
           fastify.log.error({ error, draftOrderId: draftOrder.id }, 'Background operations failed')
         }
       })()
@@ -198,9 +330,30 @@ module.exports = async function (fastify, opts) {
     } catch (error) {
       fastify.log.error({ error }, 'Failed to create print quote')
 
+      if (error.message.includes('Company access denied')) {
+        reply.code(403)
+        return {
+          status: 'error',
+          url: null,
+          error: error.message
+        }
+      }
+
+      if (error.message.includes('Idempotency key conflict')) {
+        reply.code(422)
+        return {
+          status: 'error',
+          url: null,
+          error: error.message
+        }
+      }
+
       // Determine if it's a validation error or server error
       if (error.message.includes('No line items') || 
-          error.message.includes('Draft order creation failed')) {
+          error.message.includes('Draft order creation failed') ||
+          error.message.includes('Payment terms unavailable') ||
+          error.message.includes('Company location required') ||
+          error.message.includes('Template not found')) {
         reply.code(400)
         return {
           status: 'error',
@@ -233,6 +386,11 @@ module.exports = async function (fastify, opts) {
           draftOrderId: { 
             type: 'string',
             description: 'Shopify draft order GID (e.g., gid://shopify/DraftOrder/123456789)'
+          },
+          template: {
+            type: 'string',
+            pattern: '^[a-z0-9][a-z0-9_-]*$',
+            description: 'Invoice template name for this PDF (defaults to the draft order\'s or shop\'s template)'
           }
         }
       },
@@ -275,18 +433,24 @@ module.exports = async function (fastify, opts) {
         }
       }
 
-      const { draftOrderId } = request.body
+      const { draftOrderId, template } = request.body
 
       // Log the incoming request
       fastify.log.info({
-        draftOrderId
+        draftOrderId,
+        template
       }, 'Generating PDF for existing draft order')
 
+      // Reject unknown templates before doing any work
+      if (template) {
+        fastify.services.templateRegistry.resolve('invoice', template)
+      }
+
       // Step 1: Fetch draft order from Shopify
       const draftOrder = await fastify.services.draftOrder.fetchDraftOrderById(draftOrderId)
 
       // Step 2: Generate and attach PDF using shared service
-      const result = await fastify.services.invoicePdf.generateAndAttachPdf(draftOrder, null)
+      const result = await fastify.services.invoicePdf.generateAndAttachPdf(draftOrder, template ? { template } : null)
 
       // Return response
       reply.code(201)
@@ -316,6 +480,62 @@ module.exports = async function (fastify, opts) {
     }
   })
 
+  // GET /print-quote/templates - List the available PDF templates
+  fastify.get('/templates', {
+    schema: {
+      description: 'List the PDF templates that can be selected per request (built-in and from the templates directory). ' +
+                   'isDefault marks the shop\'s default for each kind.',
+      tags: ['print-quote'],
+      querystring: {
+        type: 'object',
+        properties: {
+          kind: { type: 'string', enum: ['invoice', 'quote'] }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            templates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  kind: { type: 'string' },
+                  description: { type: 'string' },
+                  requiredFields: { type: 'array', items: { type: 'string' } },
+                  isDefault: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        500: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async function (request, reply) {
+    if (!fastify.services || !fastify.services.templateRegistry) {
+      reply.code(500)
+      return {
+        status: 'error',
+        error: 'Shopify services not configured'
+      }
+    }
+
+    return {
+      status: 'success',
+      templates: fastify.services.templateRegistry.list(request.query.kind)
+    }
+  })
+
   // GET /print-quote/health - Health check endpoint
   fastify.get('/health', {
     schema: {
@@ -1,5 +1,42 @@
 'use strict'
 
+/**
+ * Number of cart lines fetched per page; larger carts are paginated
+ */
+const CART_LINES_PAGE_SIZE = 100
+
+/**
+ * Cart line fields, shared by the full cart and the cart line pages
+ */
+const CART_LINE_FIELDS = `
+  id
+  quantity
+  merchandise {
+    ... on ProductVariant {
+      id
+      title
+      sku
+      price {
+        amount
+        currencyCode
+      }
+      product {
+        id
+        title
+        handle
+      }
+      image {
+        url
+        altText
+      }
+    }
+  }
+  attributes {
+    key
+    value
+  }
+`
+
 /**
  * Cart Service
  * Handles cart operations using Shopify Storefront API
@@ -53,37 +90,16 @@ class CartService {
                 phone
               }
             }
-            lines(first: 100) {
+            lines(first: ${CART_LINES_PAGE_SIZE}) {
               edges {
                 node {
-                  id
-                  quantity
-                  merchandise {
-                    ... on ProductVariant {
-                      id
-                      title
-                      sku
-                      price {
-                        amount
-                        currencyCode
-                      }
-                      product {
-                        id
-                        title
-                        handle
-                      }
-                      image {
-                        url
-                        altText
-                      }
-                    }
-                  }
-                  attributes {
-                    key
-                    value
-                  }
+                  ${CART_LINE_FIELDS}
                 }
               }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
             }
             cost {
               totalAmount {
@@ -122,6 +138,14 @@ class CartService {
                       company
                     }
                   }
+                  selectedDeliveryOption {
+                    handle
+                    title
+                    estimatedCost {
+                      amount
+                      currencyCode
+                    }
+                  }
                 }
               }
             }
@@ -138,14 +162,69 @@ class CartService {
         return null
       }
 
-      this.fastify.log.info({ cartId: response.data.cart.id }, 'Cart fetched successfully')
-      return response.data.cart
+      const cart = await this.loadRemainingCartLines(response.data.cart)
+
+      this.fastify.log.info({ cartId: cart.id, linesCount: cart.lines.edges.length }, 'Cart fetched successfully')
+      return cart
     } catch (error) {
       this.fastify.log.error({ error, cartToken }, 'Failed to fetch cart')
       throw new Error(`Failed to fetch cart: ${error.message}`)
     }
   }
 
+  /**
+   * Fetch the cart lines beyond the first page and merge them into the cart
+   * @param {Object} cart - Cart from Storefront API (lines connection with pageInfo)
+   * @returns {Promise<Object>} Cart with all lines
+   */
+  async loadRemainingCartLines(cart) {
+    let pageInfo = cart.lines?.pageInfo
+
+    if (!pageInfo?.hasNextPage) {
+      return cart
+    }
+
+    const query = `
+      query getCartLines($cartId: ID!, $after: String) {
+        cart(id: $cartId) {
+          lines(first: ${CART_LINES_PAGE_SIZE}, after: $after) {
+            edges {
+              node {
+                ${CART_LINE_FIELDS}
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `
+
+    const edges = [...cart.lines.edges]
+
+    while (pageInfo.hasNextPage) {
+      const response = await this.storefrontClient.request(query, {
+        variables: { cartId: cart.id, after: pageInfo.endCursor }
+      })
+
+      const connection = response.data?.cart?.lines
+
+      if (!connection) {
+        throw new Error(`Failed to fetch cart lines after ${edges.length} of cart ${cart.id}`)
+      }
+
+      edges.push(...connection.edges)
+      pageInfo = connection.pageInfo
+    }
+
+    return {
+      ...cart,
+      lines: { edges, pageInfo }
+    }
+  }
+
   /**
    * Transform Storefront cart data to a format compatible with payload
    * @param {Object} cart - Cart data from Storefront API
@@ -173,6 +252,7 @@ class CartService {
 
     const customer = cart.buyerIdentity?.customer || {}
     const deliveryAddress = cart.deliveryGroups?.edges[0]?.node?.deliveryAddress || {}
+    const deliveryOption = cart.deliveryGroups?.edges[0]?.node?.selectedDeliveryOption
 
     return {
       cartLines,
@@ -205,6 +285,12 @@ class CartService {
         phone: deliveryAddress.phone || '',
         company: deliveryAddress.company || ''
       },
+      // Storefront delivery option handles differ from Admin shipping rate handles,
+      // so the selected option carries over as a custom title and price
+      shippingLine: deliveryOption ? {
+        title: deliveryOption.title || deliveryOption.handle,
+        price: parseFloat(deliveryOption.estimatedCost?.amount || 0)
+      } : null,
       note: cart.note || null
     }
   }
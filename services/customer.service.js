@@ -0,0 +1,148 @@
+'use strict'
+
+const { quoteSearchValue } = require('./searchQuery')
+
+/**
+ * Customer Service
+ * Finds or creates Shopify customers for guest quote requests using Shopify Admin API
+ */
+class CustomerService {
+  constructor(fastify) {
+    this.fastify = fastify
+    this.adminClient = fastify.shopify.admin
+  }
+
+  /**
+   * Find a customer by email, creating one when none exists
+   * @param {Object} customer - Customer from the payload (email, firstName, lastName, phone)
+   * @param {Object} address - Optional default address (Shopify MailingAddressInput)
+   * @returns {Promise<string>} Customer GID
+   */
+  async findOrCreateCustomer(customer, address = null) {
+    const existing = await this.findCustomerByEmail(customer.email)
+
+    if (existing) {
+      this.fastify.log.info({ customerId: existing.id }, 'Found existing customer for quote email')
+      return existing.id
+    }
+
+    const created = await this.createCustomer(customer, address)
+
+    this.fastify.log.info({ customerId: created.id }, 'Created customer for quote email')
+    return created.id
+  }
+
+  /**
+   * Find a customer by email
+   * @param {string} email - Customer email
+   * @returns {Promise<Object|null>} Customer (id, email) or null if not found
+   */
+  async findCustomerByEmail(email) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    const query = `
+      query customerByEmail($query: String!) {
+        customers(first: 1, query: $query) {
+          edges {
+            node {
+              id
+              email
+            }
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(query, {
+        variables: { query: `email:${quoteSearchValue(email)}` }
+      })
+
+      if (response.errors) {
+        throw new Error(response.errors.message || 'GraphQL request failed')
+      }
+
+      const customer = response.data?.customers?.edges?.[0]?.node
+
+      // Search is fuzzy, so only accept an exact (case-insensitive) email match
+      if (!customer || customer.email?.toLowerCase() !== email.toLowerCase()) {
+        return null
+      }
+
+      return customer
+    } catch (error) {
+      this.fastify.log.error({ error }, 'Failed to look up customer by email')
+      throw new Error(`Failed to look up customer: ${error.message}`)
+    }
+  }
+
+  /**
+   * Create a customer with name, phone and default address
+   * A phone number Shopify rejects (invalid or taken by another customer) is dropped
+   * rather than failing the quote.
+   * @param {Object} customer - Customer from the payload (email, firstName, lastName, phone)
+   * @param {Object} address - Optional default address (Shopify MailingAddressInput)
+   * @returns {Promise<Object>} Created customer (id, email)
+   */
+  async createCustomer(customer, address = null) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    const input = {
+      email: customer.email
+    }
+
+    if (customer.firstName) input.firstName = customer.firstName
+    if (customer.lastName) input.lastName = customer.lastName
+    if (customer.phone) input.phone = customer.phone
+    if (address && Object.keys(address).length > 0) input.addresses = [address]
+
+    const mutation = `
+      mutation customerCreate($input: CustomerInput!) {
+        customerCreate(input: $input) {
+          customer {
+            id
+            email
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    try {
+      let response = await this.adminClient.request(mutation, { variables: { input } })
+      let userErrors = response.data?.customerCreate?.userErrors || []
+
+      if (input.phone && userErrors.some(e => e.field?.includes('phone'))) {
+        this.fastify.log.warn({ errors: userErrors }, 'Customer phone rejected, creating customer without it')
+        delete input.phone
+        response = await this.adminClient.request(mutation, { variables: { input } })
+        userErrors = response.data?.customerCreate?.userErrors || []
+      }
+
+      if (userErrors.length > 0) {
+        this.fastify.log.error({ errors: userErrors }, 'Customer creation failed with user errors')
+        throw new Error(`Customer creation failed: ${userErrors.map(e => e.message).join(', ')}`)
+      }
+
+      const created = response.data?.customerCreate?.customer
+
+      if (!created) {
+        throw new Error('Customer creation failed: No customer returned')
+      }
+
+      return created
+    } catch (error) {
+      this.fastify.log.error({ error }, 'Failed to create customer')
+      throw new Error(`Failed to create customer: ${error.message}`)
+    }
+  }
+}
+
+module.exports = CustomerService
@@ -0,0 +1,84 @@
+'use strict'
+
+/**
+ * Document Formatter
+ * Intl-based money, percentage and date formatting for one PDF document, so every amount
+ * and date in it follows the same locale: currency minor units (JPY has none), symbol
+ * position (12,50 € vs €12.50), thousands separators, and dates in the shop's timezone.
+ */
+class DocumentFormatter {
+  /**
+   * @param {Object} options - Formatter options
+   * @param {string} options.locale - Formatting locale (BCP 47, e.g., "et-EE")
+   * @param {string} options.currencyCode - Document currency (ISO 4217)
+   * @param {string} options.timeZone - Shop timezone (IANA, e.g., "Europe/Tallinn")
+   */
+  constructor({ locale = 'en-US', currencyCode = 'EUR', timeZone = 'UTC' } = {}) {
+    this.locale = locale
+    this.currencyCode = currencyCode
+    this.timeZone = DocumentFormatter.isValidTimeZone(timeZone) ? timeZone : 'UTC'
+    this.moneyFormats = new Map()
+
+    this.percentFormat = new Intl.NumberFormat(locale, {
+      style: 'percent',
+      maximumFractionDigits: 2
+    })
+    this.dateFormat = new Intl.DateTimeFormat(locale, {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: this.timeZone
+    })
+  }
+
+  /**
+   * Check whether a timezone is a valid IANA timezone
+   * @param {string} timeZone - Timezone name
+   * @returns {boolean}
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone })
+      return Boolean(timeZone)
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Format an amount of money
+   * @param {number|string} amount - Amount (missing amounts format as zero)
+   * @param {string} currencyCode - Currency (defaults to the document currency)
+   * @returns {string} Formatted amount, e.g. "1 234,50 €"
+   */
+  money(amount, currencyCode = this.currencyCode) {
+    if (!this.moneyFormats.has(currencyCode)) {
+      this.moneyFormats.set(currencyCode, new Intl.NumberFormat(this.locale, {
+        style: 'currency',
+        currency: currencyCode
+      }))
+    }
+
+    return this.moneyFormats.get(currencyCode).format(Number(amount) || 0)
+  }
+
+  /**
+   * Format a rate as a percentage
+   * @param {number} rate - Rate (e.g., 0.24)
+   * @returns {string} Formatted percentage, e.g. "24%" or "24 %"
+   */
+  percent(rate) {
+    return this.percentFormat.format(Number(rate) || 0)
+  }
+
+  /**
+   * Format a date as a calendar date in the shop's timezone
+   * @param {Date|string} date - Date or ISO 8601 string
+   * @returns {string} Formatted date, e.g. "1. märts 2026"
+   */
+  date(date) {
+    return this.dateFormat.format(date instanceof Date ? date : new Date(date))
+  }
+}
+
+module.exports = DocumentFormatter
@@ -1,5 +1,246 @@
 'use strict'
 
+const { quoteSearchValue } = require('./searchQuery')
+
+/**
+ * Number of line items fetched per page; larger quotes are paginated
+ */
+const LINE_ITEMS_PAGE_SIZE = 100
+
+/**
+ * Money bag fields: amounts in the shop currency and in the draft's presentment currency
+ */
+const MONEY_BAG_FIELDS = `
+  shopMoney {
+    amount
+    currencyCode
+  }
+  presentmentMoney {
+    amount
+    currencyCode
+  }
+`
+
+/**
+ * Payment terms fields, shared by the full draft order and the quote list
+ */
+const PAYMENT_TERMS_FIELDS = `
+  paymentTermsName
+  paymentTermsType
+  dueInDays
+  paymentSchedules(first: 1) {
+    edges {
+      node {
+        issuedAt
+        dueAt
+      }
+    }
+  }
+`
+
+/**
+ * Draft order line item fields, shared by the full draft order and the line item pages
+ */
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  custom
+  sku
+  taxable
+  originalUnitPrice
+  originalUnitPriceSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  originalTotalSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  discountedTotalSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  appliedDiscount {
+    title
+    description
+    value
+    valueType
+    amountSet {
+      ${MONEY_BAG_FIELDS}
+    }
+  }
+  customAttributes {
+    key
+    value
+  }
+  taxLines {
+    title
+    rate
+    price
+    priceSet {
+      ${MONEY_BAG_FIELDS}
+    }
+  }
+  variant {
+    id
+    title
+    sku
+  }
+`
+
+/**
+ * Draft order fields returned by every query and mutation that hands back
+ * a full draft order, so formatDraftOrderResponse always sees the same shape
+ */
+const DRAFT_ORDER_FIELDS = `
+  id
+  name
+  status
+  invoiceUrl
+  createdAt
+  updatedAt
+  reserveInventoryUntil
+  taxExempt
+  totalPrice
+  subtotalPrice
+  totalTax
+  currencyCode
+  presentmentCurrencyCode
+  totalPriceSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  subtotalPriceSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  totalTaxSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  taxLines {
+    title
+    rate
+    price
+    priceSet {
+      ${MONEY_BAG_FIELDS}
+    }
+  }
+  appliedDiscount {
+    amountSet {
+      ${MONEY_BAG_FIELDS}
+    }
+    description
+    title
+    value
+    valueType
+  }
+  discountCodes
+  totalDiscountsSet {
+    ${MONEY_BAG_FIELDS}
+  }
+  shippingLine {
+    title
+    price
+    shippingRateHandle
+    originalPriceSet {
+      ${MONEY_BAG_FIELDS}
+    }
+    taxLines {
+      title
+      rate
+      price
+      priceSet {
+        ${MONEY_BAG_FIELDS}
+      }
+    }
+  }
+  customer {
+    id
+    email
+    firstName
+    lastName
+    locale
+  }
+  shippingAddress {
+    firstName
+    lastName
+    address1
+    address2
+    city
+    province
+    country
+    countryCodeV2
+    zip
+    phone
+  }
+  billingAddress {
+    firstName
+    lastName
+    address1
+    address2
+    city
+    province
+    country
+    countryCodeV2
+    zip
+    phone
+  }
+  lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+    edges {
+      node {
+        ${LINE_ITEM_FIELDS}
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+  purchasingEntity {
+    ... on PurchasingCompany {
+      company {
+        id
+        name
+      }
+      location {
+        id
+        taxSettings {
+          taxRegistrationId
+        }
+        shippingAddress {
+          countryCode
+        }
+        billingAddress {
+          countryCode
+        }
+      }
+      contact {
+        id
+      }
+    }
+  }
+  email
+  tags
+  customAttributes {
+    key
+    value
+  }
+  quotePdf: metafield(namespace: "custom", key: "quote_pdf") {
+    value
+  }
+  quotePdfGeneratedAt: metafield(namespace: "custom", key: "quote_pdf_generated_at") {
+    value
+  }
+  quoteExpiresAt: metafield(namespace: "custom", key: "quote_expires_at") {
+    value
+  }
+  quoteTemplate: metafield(namespace: "custom", key: "quote_template") {
+    value
+  }
+  quoteLocale: metafield(namespace: "custom", key: "quote_locale") {
+    value
+  }
+  paymentTerms {
+    ${PAYMENT_TERMS_FIELDS}
+  }
+`
+
 /**
  * Draft Order Service
  * Handles draft order creation using Shopify Admin API
@@ -19,6 +260,20 @@ class DraftOrderService {
   async processCheckoutData(payload) {
     this.fastify.log.info('Processing checkout data')
 
+    const cartData = await this.resolveCheckoutData(payload)
+
+    // Create draft order
+    return await this.createDraftOrder(cartData)
+  }
+
+  /**
+   * Resolve the data a quote is built from
+   * If the payload has a cartToken, the latest Storefront cart is merged over the payload.
+   * @param {Object} payload - The checkout payload
+   * @returns {Promise<Object>} Checkout data for buildDraftOrderInput
+   */
+  async resolveCheckoutData(payload) {
+
     // Lazy load cart service to avoid circular dependency
     if (!this.cartService) {
       this.cartService = this.fastify.services.cart
@@ -38,13 +293,21 @@ class DraftOrderService {
           const transformedCart = this.cartService.transformCartToPayload(cart)
           
           // Use cart data as primary source, fallback to payload
+          // Custom lines only exist in the payload, so keep them next to the cart's lines
+          const customLines = payload.cartLines.filter(line => !line.variantId)
+
           cartData = {
             ...payload,
-            cartLines: transformedCart.cartLines,
+            cartLines: [
+              ...this.carryOverLineDiscounts(transformedCart.cartLines, payload.cartLines),
+              ...customLines
+            ],
             customer: transformedCart.customer.email ? transformedCart.customer : payload.customer,
-            pricing: transformedCart.pricing,
+            // Cart totals and discount codes win, manual discounts only come from the payload
+            pricing: { ...payload.pricing, ...transformedCart.pricing },
             shippingAddress: this.mergeAddress(transformedCart.shippingAddress, payload.shippingAddress),
             billingAddress: payload.billingAddress || transformedCart.shippingAddress,
+            shippingLine: payload.shippingLine || transformedCart.shippingLine,
             note: transformedCart.note || payload.note
           }
           
@@ -59,8 +322,36 @@ class DraftOrderService {
       this.fastify.log.info('No cart token provided, using payload data')
     }
 
-    // Create draft order
-    return await this.createDraftOrder(cartData)
+    return cartData
+  }
+
+  /**
+   * Calculate a quote without creating a draft order (dry run)
+   * @param {Object} payload - The checkout payload, as accepted by processCheckoutData
+   * @returns {Promise<Object>} Quote preview with totals, taxes per rate, discounts and shipping options
+   */
+  async calculateQuote(payload) {
+    this.fastify.log.info('Calculating quote preview')
+
+    const cartData = await this.resolveCheckoutData(payload)
+    const input = await this.buildDraftOrderInput(cartData)
+
+    const calculatedDraftOrder = await this.runDraftOrderCalculate(input)
+
+    return this.formatCalculatedDraftOrder(calculatedDraftOrder)
+  }
+
+  /**
+   * Copy per-line manual discounts from payload lines onto the matching cart lines
+   * @param {Array} cartLines - Lines from the Storefront cart
+   * @param {Array} payloadLines - Lines from the request payload
+   * @returns {Array} Cart lines with applied discounts
+   */
+  carryOverLineDiscounts(cartLines, payloadLines = []) {
+    return cartLines.map(line => {
+      const payloadLine = payloadLines.find(p => p.variantId === line.variantId && p.appliedDiscount)
+      return payloadLine ? { ...line, appliedDiscount: payloadLine.appliedDiscount } : line
+    })
   }
 
   /**
@@ -96,63 +387,134 @@ class DraftOrderService {
       throw new Error('Admin API client not configured')
     }
 
-    // Validate required data
-    if (!data.cartLines || data.cartLines.length === 0) {
-      throw new Error('No line items provided')
+    const input = await this.buildDraftOrderInput(data)
+
+    // Guest quotes get a real customer, so they show up in the customer's account
+    if (data.customer?.email && !data.customer.id) {
+      const customerId = await this.findOrCreateGuestCustomer(data)
+      if (customerId) {
+        input.customerId = customerId
+      }
     }
 
-    this.fastify.log.info({ lineItemsCount: data.cartLines.length }, 'Creating draft order')
+    this.fastify.log.info({ lineItemsCount: input.lineItems.length }, 'Creating draft order')
 
-    // Build line items for draft order
-    const lineItems = data.cartLines.map(line => {
-      const lineItem = {
-        variantId: line.variantId,
-        quantity: line.quantity
+    // GraphQL mutation to create draft order
+    const mutation = `
+      mutation draftOrderCreate($input: DraftOrderInput!) {
+        draftOrderCreate(input: $input) {
+          draftOrder {
+            ${DRAFT_ORDER_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
       }
+    `
 
-      // Add custom attributes if present
-      if (line.properties && line.properties.length > 0) {
-        lineItem.customAttributes = line.properties.map(prop => ({
-          key: prop.key,
-          value: prop.value
-        }))
+    try {
+      const response = await this.adminClient.request(mutation, {
+        variables: { input }
+      })
+
+      if (response.data?.draftOrderCreate?.userErrors?.length > 0) {
+        const errors = response.data.draftOrderCreate.userErrors
+        this.fastify.log.error({ errors }, 'Draft order creation failed with user errors')
+        throw new Error(`Draft order creation failed: ${errors.map(e => e.message).join(', ')}`)
       }
 
-      return lineItem
-    })
+      const draftOrder = response.data?.draftOrderCreate?.draftOrder
+      
+      if (!draftOrder) {
+        throw new Error('Draft order creation failed: No draft order returned')
+      }
+
+      this.fastify.log.info({ 
+        draftOrderId: draftOrder.id,
+        draftOrderName: draftOrder.name 
+      }, 'Draft order created successfully')
+
+      return this.formatDraftOrderResponse(await this.loadRemainingLineItems(draftOrder))
+    } catch (error) {
+      this.fastify.log.error({ error }, 'Failed to create draft order')
+      throw new Error(`Failed to create draft order: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build the Shopify draft order input from checkout data
+   * Shared by draft order creation and the dry-run calculation.
+   * @param {Object} data - Checkout data
+   * @returns {Promise<Object>} Shopify DraftOrderInput
+   */
+  async buildDraftOrderInput(data) {
+    // Validate required data
+    if (!data.cartLines || data.cartLines.length === 0) {
+      throw new Error('No line items provided')
+    }
+
+    // Reject unknown templates before anything is created
+    if (data.template) {
+      this.fastify.services.templateRegistry?.resolve('invoice', data.template)
+    }
+
+    // Build line items for draft order
+    const lineItems = data.cartLines.map(line => this.buildLineItemInput(line))
 
     // Build draft order input
     const input = {
       lineItems
     }
 
-    // Add customer email if available
+    // Add discount codes and order-level manual discount
+    if (data.pricing?.discountCodes?.length > 0) {
+      input.discountCodes = data.pricing.discountCodes
+    }
+
+    if (data.pricing?.appliedDiscount) {
+      input.appliedDiscount = this.buildAppliedDiscountInput(data.pricing.appliedDiscount)
+    }
+
+    // Price the quote in the buyer's currency (from the payload or the cart); Shopify
+    // converts catalog prices and rejects currencies the shop doesn't sell in
+    if (data.pricing?.currency) {
+      input.presentmentCurrencyCode = data.pricing.currency.toUpperCase()
+    }
+
+    // Add customer and email if available
+    if (data.customer?.id) {
+      input.customerId = data.customer.id
+    }
+
     if (data.customer?.email) {
       input.email = data.customer.email
     }
 
-    // Add purchasing entity for B2B orders
+    // Add purchasing entity for B2B orders (verified against the customer's company access)
     this.fastify.log.info({ data }, 'Processing checkout data')
-    if (data.purchasingEntity?.company?.id && data.purchasingEntity?.location?.id) {
-       let companyContactId = data.customer?.id
-
-       // Try to fetch specific company contact ID if customer ID is available
-       if (data.customer?.id) {
-         const fetchedContactId = await this.fetchCompanyContactId(data.customer.id, data.purchasingEntity.company.id)
-         if (fetchedContactId) {
-           companyContactId = fetchedContactId
-         }
-       }
-
+    if (data.purchasingEntity?.company?.id) {
       input.purchasingEntity = {
-        purchasingCompany: {
-          companyId: data.purchasingEntity.company.id,
-          companyLocationId: data.purchasingEntity.location.id,
-          companyContactId: companyContactId
-        }
+        purchasingCompany: await this.resolvePurchasingCompany(data.customer, data.purchasingEntity)
       }
     }
 
+    // Cross-border EU B2B supplies are reverse charged, so the quote carries no VAT
+    if (input.purchasingEntity &&
+        await this.isReverseChargeLocation(
+          input.purchasingEntity.purchasingCompany.companyLocationId,
+          this.fastify.services.tax.getDestinationCountryCode(data)
+        )) {
+      input.taxExempt = true
+    }
+
+    // Add payment terms: explicit terms, or the company location's default
+    const paymentTerms = await this.resolvePaymentTerms(data.paymentTerms, input.purchasingEntity?.purchasingCompany)
+    if (paymentTerms) {
+      input.paymentTerms = this.buildPaymentTermsInput(paymentTerms)
+    }
+
     // Add shipping address if available
     if (data.shippingAddress && this.hasAddressData(data.shippingAddress)) {
       input.shippingAddress = this.buildShopifyAddress(data.shippingAddress)
@@ -163,6 +525,11 @@ class DraftOrderService {
       input.billingAddress = this.buildShopifyAddress(data.billingAddress)
     }
 
+    // Add chosen shipping if available
+    if (data.shippingLine) {
+      input.shippingLine = this.buildShippingLineInput(data.shippingLine)
+    }
+
     // Add note if available
     if (data.note) {
       input.note = data.note
@@ -174,311 +541,1836 @@ class DraftOrderService {
       input.tags.push('cart-api')
     }
 
-    // GraphQL mutation to create draft order
-    const mutation = `
-      mutation draftOrderCreate($input: DraftOrderInput!) {
-        draftOrderCreate(input: $input) {
-          draftOrder {
-            id
-            name
-            status
-            invoiceUrl
-            createdAt
-            updatedAt
-            totalPrice
-            subtotalPrice
-            totalTax
-            currencyCode
-            taxLines {
-              title
-              rate
-              price
-            }
-            shippingLine {
-              title
-              price
-              taxLines {
-                title
-                rate
-                price
+    // Quotes are valid for a limited time, stored next to custom.quote_pdf
+    const expiryMetafield = this.buildQuoteExpiryMetafield(data.validityDays)
+    input.metafields = [expiryMetafield]
+
+    // Keep the chosen document template and language, so regenerated PDFs use the same ones
+    if (data.template) {
+      input.metafields.push(this.buildQuoteTemplateMetafield(data.template))
+    }
+
+    if (data.locale) {
+      input.metafields.push(this.buildQuoteLocaleMetafield(data.locale))
+    }
+
+    // Opt-in: hold the quoted stock for as long as the quote is valid
+    if (data.reserveInventory ?? this.fastify.config?.quotes?.reserveInventory) {
+      input.reserveInventoryUntil = expiryMetafield.value
+    }
+
+    return input
+  }
+
+  /**
+   * Build the custom.quote_expires_at metafield input for a new quote
+   * @param {number} validityDays - Days the quote is valid (defaults to the shop/env setting)
+   * @returns {Object} Shopify MetafieldInput
+   */
+  buildQuoteExpiryMetafield(validityDays) {
+    const days = validityDays || this.fastify.config?.quotes?.validityDays || 30
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+    return {
+      namespace: 'custom',
+      key: 'quote_expires_at',
+      type: 'date_time',
+      value: expiresAt.toISOString()
+    }
+  }
+
+  /**
+   * Build the custom.quote_template metafield input
+   * @param {string} template - Invoice template name
+   * @returns {Object} Shopify MetafieldInput
+   */
+  buildQuoteTemplateMetafield(template) {
+    return {
+      namespace: 'custom',
+      key: 'quote_template',
+      type: 'single_line_text_field',
+      value: template
+    }
+  }
+
+  /**
+   * Build the custom.quote_locale metafield input
+   * @param {string} locale - Document locale from the payload (e.g., "et-EE")
+   * @returns {Object} Shopify MetafieldInput
+   */
+  buildQuoteLocaleMetafield(locale) {
+    return {
+      namespace: 'custom',
+      key: 'quote_locale',
+      type: 'single_line_text_field',
+      value: locale
+    }
+  }
+
+  /**
+   * Build a draft order line item input from a cart line
+   * @param {Object} line - Cart line (variantId or custom line fields, quantity, properties)
+   * @returns {Object} Shopify DraftOrderLineItemInput
+   */
+  buildLineItemInput(line) {
+    const lineItem = line.variantId
+      ? { variantId: line.variantId, quantity: line.quantity }
+      : this.buildCustomLineItemInput(line)
+
+    // An existing variant line keeps its quoted price instead of today's catalog price
+    if (line.variantId && line.unitPrice) {
+      lineItem.priceOverride = line.unitPrice
+    }
+
+    // Add per-line manual discount if present
+    if (line.appliedDiscount) {
+      lineItem.appliedDiscount = this.buildAppliedDiscountInput(line.appliedDiscount)
+    }
+
+    // Add custom attributes if present
+    if (line.properties && line.properties.length > 0) {
+      lineItem.customAttributes = line.properties.map(prop => ({
+        key: prop.key,
+        value: prop.value
+      }))
+    }
+
+    return lineItem
+  }
+
+  /**
+   * Find or create the customer for a guest quote (email but no customer ID)
+   * Best effort: if the lookup or creation fails, the quote is created with the email only.
+   * @param {Object} data - Checkout data
+   * @returns {Promise<string|null>} Customer GID, or null if it could not be resolved
+   */
+  async findOrCreateGuestCustomer(data) {
+    const address = [data.billingAddress, data.shippingAddress]
+      .find(candidate => candidate && this.hasAddressData(candidate))
+
+    try {
+      return await this.fastify.services.customer.findOrCreateCustomer(
+        data.customer,
+        address ? this.buildShopifyAddress(address) : null
+      )
+    } catch (error) {
+      this.fastify.log.warn({ error }, 'Failed to find or create customer, creating quote with email only')
+      return null
+    }
+  }
+
+  /**
+   * Fetch the line items beyond the first page and merge them into the draft order
+   * @param {Object} draftOrder - Draft order from Shopify (lineItems connection with pageInfo)
+   * @returns {Promise<Object>} Draft order with all line items
+   */
+  async loadRemainingLineItems(draftOrder) {
+    let pageInfo = draftOrder.lineItems?.pageInfo
+
+    if (!pageInfo?.hasNextPage) {
+      return draftOrder
+    }
+
+    const query = `
+      query draftOrderLineItems($id: ID!, $after: String) {
+        draftOrder(id: $id) {
+          lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $after) {
+            edges {
+              node {
+                ${LINE_ITEM_FIELDS}
               }
             }
-            customer {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `
+
+    const edges = [...draftOrder.lineItems.edges]
+
+    while (pageInfo.hasNextPage) {
+      const response = await this.adminClient.request(query, {
+        variables: { id: draftOrder.id, after: pageInfo.endCursor }
+      })
+
+      const connection = response.data?.draftOrder?.lineItems
+
+      if (!connection) {
+        throw new Error(`Failed to fetch line items after ${edges.length} of draft order ${draftOrder.id}`)
+      }
+
+      edges.push(...connection.edges)
+      pageInfo = connection.pageInfo
+    }
+
+    this.fastify.log.info({ draftOrderId: draftOrder.id, lineItemsCount: edges.length }, 'Fetched all draft order line items')
+
+    return {
+      ...draftOrder,
+      lineItems: { edges, pageInfo }
+    }
+  }
+
+  /**
+   * Build Shopify applied discount input
+   * @param {Object} discount - Discount (title, description, value, valueType PERCENTAGE or FIXED_AMOUNT)
+   * @returns {Object} Shopify DraftOrderAppliedDiscountInput
+   */
+  buildAppliedDiscountInput(discount) {
+    const appliedDiscount = {
+      value: Number(discount.value),
+      valueType: discount.valueType
+    }
+
+    if (discount.title) appliedDiscount.title = discount.title
+    if (discount.description) appliedDiscount.description = discount.description
+
+    return appliedDiscount
+  }
+
+  /**
+   * Build Shopify shipping line input
+   * @param {Object} shippingLine - Rate handle (handle) or custom shipping (title, price)
+   * @returns {Object} Shopify ShippingLineInput
+   */
+  buildShippingLineInput(shippingLine) {
+    if (shippingLine.handle) {
+      return { shippingRateHandle: shippingLine.handle }
+    }
+
+    return {
+      title: shippingLine.title,
+      price: shippingLine.price
+    }
+  }
+
+  /**
+   * Build a custom (non-catalog) line item input, e.g. installation labour or one-off parts
+   * @param {Object} line - Custom line (title, price, quantity, taxable, sku)
+   * @returns {Object} Shopify DraftOrderLineItemInput without a variant
+   */
+  buildCustomLineItemInput(line) {
+    const lineItem = {
+      title: line.title,
+      quantity: line.quantity,
+      taxable: line.taxable !== false
+    }
+
+    // Existing lines carry their price with its currency; new lines are priced in the quote currency
+    if (line.unitPrice) {
+      lineItem.originalUnitPriceWithCurrency = line.unitPrice
+    } else {
+      lineItem.originalUnitPrice = line.price
+    }
+
+    if (line.sku) {
+      lineItem.sku = line.sku
+    }
+
+    return lineItem
+  }
+
+  /**
+   * Check if address has any data
+   * @param {Object} address - Address object
+   * @returns {boolean} True if address has data
+   */
+  hasAddressData(address) {
+    return !!(address.address1 || address.city || address.country || address.countryCode)
+  }
+
+  /**
+   * Build Shopify address format
+   * @param {Object} address - Address data
+   * @returns {Object} Shopify formatted address
+   */
+  buildShopifyAddress(address) {
+    const shopifyAddress = {}
+
+    if (address.firstName) shopifyAddress.firstName = address.firstName
+    if (address.lastName) shopifyAddress.lastName = address.lastName
+    if (address.company) shopifyAddress.company = address.company
+    if (address.address1) shopifyAddress.address1 = address.address1
+    if (address.address2) shopifyAddress.address2 = address.address2
+    if (address.city) shopifyAddress.city = address.city
+    if (address.province) shopifyAddress.province = address.province
+    if (address.provinceCode) shopifyAddress.provinceCode = address.provinceCode
+    if (address.country) shopifyAddress.country = address.country
+    if (address.countryCode) shopifyAddress.countryCode = address.countryCode
+    if (address.zip) shopifyAddress.zip = address.zip
+    if (address.phone) shopifyAddress.phone = address.phone
+
+    return shopifyAddress
+  }
+
+  /**
+   * Fetch an existing draft order by ID from Shopify
+   * @param {string} draftOrderId - Draft order GID (e.g., gid://shopify/DraftOrder/123)
+   * @returns {Promise<Object>} Draft order data
+   */
+  async fetchDraftOrderById(draftOrderId) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    draftOrderId = this.toDraftOrderGid(draftOrderId)
+
+    this.fastify.log.info({ draftOrderId }, 'Fetching draft order by ID')
+
+    const query = `
+      query draftOrder($id: ID!) {
+        draftOrder(id: $id) {
+          ${DRAFT_ORDER_FIELDS}
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(query, {
+        variables: { id: draftOrderId }
+      })
+
+      const draftOrder = response.data?.draftOrder
+
+      if (!draftOrder) {
+        throw new Error(`Draft order not found: ${draftOrderId}`)
+      }
+
+      this.fastify.log.info({
+        draftOrderId: draftOrder.id,
+        draftOrderName: draftOrder.name
+      }, 'Draft order fetched successfully')
+
+      return this.formatDraftOrderResponse(await this.loadRemainingLineItems(draftOrder))
+    } catch (error) {
+      this.fastify.log.error({ error, draftOrderId }, 'Failed to fetch draft order')
+      throw new Error(`Failed to fetch draft order: ${error.message}`)
+    }
+  }
+
+  /**
+   * Update an existing draft order (quote)
+   * Line item changes are merged into the current lines: a known variant gets its
+   * quantity replaced, an unknown variant is added and a quantity of 0 removes it.
+   * @param {string} draftOrderId - Draft order ID or GID
+   * @param {Object} changes - Requested changes
+   * @param {Array} changes.lineItems - Line changes (id or variantId or title and price, quantity, properties; see mergeLineItemChanges)
+   * @param {Object} changes.shippingAddress - Replacement shipping address
+   * @param {Object} changes.billingAddress - Replacement billing address
+   * @param {Object} changes.purchasingEntity - Replacement B2B company and location (company.id, location.id)
+   * @param {Object} changes.paymentTerms - Replacement payment terms (netDays or dueAt, see resolvePaymentTerms);
+   *   without them a new company location replaces the terms with its default (or clears them)
+   * @param {string} changes.note - Replacement note (empty string clears it)
+   * @returns {Promise<Object>} Updated draft order
+   */
+  async updateDraftOrder(draftOrderId, changes) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    draftOrderId = this.toDraftOrderGid(draftOrderId)
+
+    this.fastify.log.info({ draftOrderId }, 'Updating draft order')
+
+    const input = {}
+
+    // Addresses and the purchasing company decide reverse charge, so changing them needs the current quote
+    const affectsReverseCharge = Boolean(changes.shippingAddress || changes.billingAddress || changes.purchasingEntity)
+    const existing = (changes.lineItems?.length > 0 || affectsReverseCharge)
+      ? await this.fetchDraftOrderById(draftOrderId)
+      : null
+
+    if (changes.lineItems && changes.lineItems.length > 0) {
+      if (existing.status === 'COMPLETED') {
+        throw new Error('Draft order update failed: completed draft orders cannot be edited')
+      }
+
+      const cartLines = this.mergeLineItemChanges(existing.lineItems, changes.lineItems)
+
+      if (cartLines.length === 0) {
+        throw new Error('Draft order update failed: a draft order needs at least one line item')
+      }
+
+      input.lineItems = cartLines.map(line => this.buildLineItemInput(line))
+    }
+
+    if (changes.shippingAddress) {
+      input.shippingAddress = this.buildShopifyAddress(changes.shippingAddress)
+    }
+
+    if (changes.billingAddress) {
+      input.billingAddress = this.buildShopifyAddress(changes.billingAddress)
+    }
+
+    if (changes.purchasingEntity?.company?.id) {
+      input.purchasingEntity = {
+        purchasingCompany: await this.resolvePurchasingCompany(existing.customer, changes.purchasingEntity)
+      }
+    }
+
+    if (affectsReverseCharge) {
+      const taxExempt = await this.evaluateReverseCharge(existing, input)
+      if (taxExempt !== null) {
+        input.taxExempt = taxExempt
+      }
+    }
+
+    if (changes.shippingLine) {
+      input.shippingLine = this.buildShippingLineInput(changes.shippingLine)
+    }
+
+    if (changes.paymentTerms) {
+      input.paymentTerms = this.buildPaymentTermsInput(await this.resolvePaymentTerms(changes.paymentTerms))
+    } else if (input.purchasingEntity && this.isPurchasingLocationChange(existing, input.purchasingEntity.purchasingCompany)) {
+      // Terms come from the company location, so a new location brings its own default (or none)
+      const paymentTerms = await this.resolvePaymentTerms(null, input.purchasingEntity.purchasingCompany)
+
+      if (paymentTerms) {
+        input.paymentTerms = this.buildPaymentTermsInput(paymentTerms)
+      } else if (existing.paymentTerms) {
+        input.paymentTerms = null
+      }
+    }
+
+    if (changes.note !== undefined) {
+      input.note = changes.note
+    }
+
+    return await this.applyDraftOrderUpdate(draftOrderId, input)
+  }
+
+  /**
+   * Decide reverse charge again for an edited B2B quote, from the new or current
+   * company location and shipping (else billing) country
+   * @param {Object} existing - Current draft order (formatted)
+   * @param {Object} input - Pending DraftOrderInput (addresses, purchasingEntity)
+   * @returns {Promise<boolean|null>} taxExempt for the quote, or null for quotes without a company location
+   */
+  async evaluateReverseCharge(existing, input) {
+    const companyLocationId = input.purchasingEntity?.purchasingCompany?.companyLocationId ||
+                              existing.company?.locationId
+
+    if (!companyLocationId) {
+      return null
+    }
+
+    const countryCode = this.fastify.services.tax.getDestinationCountryCode({
+      shippingAddress: input.shippingAddress || existing.shippingAddress,
+      billingAddress: input.billingAddress || existing.billingAddress
+    })
+
+    return await this.isReverseChargeLocation(companyLocationId, countryCode)
+  }
+
+  /**
+   * Run draftOrderUpdate with a prepared input
+   * @param {string} draftOrderId - Draft order GID
+   * @param {Object} input - Shopify DraftOrderInput
+   * @returns {Promise<Object>} Updated draft order
+   */
+  async applyDraftOrderUpdate(draftOrderId, input) {
+    const mutation = `
+      mutation draftOrderUpdate($id: ID!, $input: DraftOrderInput!) {
+        draftOrderUpdate(id: $id, input: $input) {
+          draftOrder {
+            ${DRAFT_ORDER_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(mutation, {
+        variables: { id: draftOrderId, input }
+      })
+
+      if (response.data?.draftOrderUpdate?.userErrors?.length > 0) {
+        const errors = response.data.draftOrderUpdate.userErrors
+        this.fastify.log.error({ errors, draftOrderId }, 'Draft order update failed with user errors')
+        throw new Error(`Draft order update failed: ${errors.map(e => e.message).join(', ')}`)
+      }
+
+      const draftOrder = response.data?.draftOrderUpdate?.draftOrder
+
+      if (!draftOrder) {
+        throw new Error(`Draft order not found: ${draftOrderId}`)
+      }
+
+      this.fastify.log.info({
+        draftOrderId: draftOrder.id,
+        draftOrderName: draftOrder.name
+      }, 'Draft order updated successfully')
+
+      return this.formatDraftOrderResponse(await this.loadRemainingLineItems(draftOrder))
+    } catch (error) {
+      this.fastify.log.error({ error, draftOrderId }, 'Failed to update draft order')
+      throw new Error(`Failed to update draft order: ${error.message}`)
+    }
+  }
+
+  /**
+   * Reserve (or extend the reservation of) a quote's inventory
+   * The reservation runs until the quote expires by default; reserving past the
+   * expiry extends the quote's validity to match, so the two stay tied together.
+   * @param {string} draftOrderId - Draft order ID or GID
+   * @param {Object} options - Reservation options
+   * @param {string} options.until - Reservation end (ISO 8601)
+   * @param {number} options.days - Reservation length in days from now (alternative to until)
+   * @returns {Promise<Object>} Updated draft order
+   */
+  async reserveInventory(draftOrderId, { until, days } = {}) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    draftOrderId = this.toDraftOrderGid(draftOrderId)
+
+    const draftOrder = await this.fetchDraftOrderById(draftOrderId)
+
+    if (draftOrder.status === 'COMPLETED') {
+      throw new Error('Inventory reservation failed: completed draft orders cannot reserve inventory')
+    }
+
+    let reserveUntil
+    if (until) {
+      reserveUntil = new Date(until)
+    } else if (days) {
+      reserveUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    } else if (draftOrder.expiresAt) {
+      reserveUntil = new Date(draftOrder.expiresAt)
+    } else {
+      reserveUntil = new Date(this.buildQuoteExpiryMetafield().value)
+    }
+
+    if (reserveUntil <= new Date()) {
+      throw new Error('Inventory reservation failed: reservation must end in the future')
+    }
+
+    const input = {
+      reserveInventoryUntil: reserveUntil.toISOString()
+    }
+
+    if (!draftOrder.expiresAt || reserveUntil > new Date(draftOrder.expiresAt)) {
+      input.metafields = [{
+        namespace: 'custom',
+        key: 'quote_expires_at',
+        type: 'date_time',
+        value: input.reserveInventoryUntil
+      }]
+    }
+
+    this.fastify.log.info({ draftOrderId, reserveInventoryUntil: input.reserveInventoryUntil }, 'Reserving draft order inventory')
+
+    return await this.applyDraftOrderUpdate(draftOrderId, input)
+  }
+
+  /**
+   * Release a quote's inventory reservation
+   * @param {string} draftOrderId - Draft order ID or GID
+   * @returns {Promise<Object>} Updated draft order
+   */
+  async releaseInventory(draftOrderId) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    draftOrderId = this.toDraftOrderGid(draftOrderId)
+
+    this.fastify.log.info({ draftOrderId }, 'Releasing draft order inventory reservation')
+
+    return await this.applyDraftOrderUpdate(draftOrderId, { reserveInventoryUntil: null })
+  }
+
+  /**
+   * Fetch the shipping rates available for a draft order's lines and shipping address
+   * @param {string} draftOrderId - Draft order ID or GID
+   * @returns {Promise<Array>} Available shipping rates (handle, title, price)
+   */
+  async fetchAvailableShippingRates(draftOrderId) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    const draftOrder = await this.fetchDraftOrderById(draftOrderId)
+
+    if (!draftOrder.shippingAddress || !this.hasAddressData(draftOrder.shippingAddress)) {
+      throw new Error('Shipping rates unavailable: draft order has no shipping address')
+    }
+
+    const input = {
+      lineItems: this.mergeLineItemChanges(draftOrder.lineItems, []).map(line => this.buildLineItemInput(line)),
+      shippingAddress: this.buildShopifyAddress(draftOrder.shippingAddress)
+    }
+
+    if (draftOrder.company?.id && draftOrder.company.locationId) {
+      input.purchasingEntity = this.buildPurchasingEntityInput(draftOrder.company)
+    }
+
+    try {
+      const calculatedDraftOrder = await this.runDraftOrderCalculate(input)
+
+      return calculatedDraftOrder.availableShippingRates.map(rate => this.formatShippingRate(rate))
+    } catch (error) {
+      this.fastify.log.error({ error, draftOrderId }, 'Failed to fetch available shipping rates')
+      throw new Error(`Shipping rates unavailable: ${error.message}`)
+    }
+  }
+
+  /**
+   * Run draftOrderCalculate for a draft order input
+   * @param {Object} input - Shopify DraftOrderInput
+   * @returns {Promise<Object>} Calculated draft order from Shopify
+   */
+  async runDraftOrderCalculate(input) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    const mutation = `
+      mutation draftOrderCalculate($input: DraftOrderInput!) {
+        draftOrderCalculate(input: $input) {
+          calculatedDraftOrder {
+            currencyCode
+            presentmentCurrencyCode
+            subtotalPriceSet {
+              ${MONEY_BAG_FIELDS}
+            }
+            totalTaxSet {
+              ${MONEY_BAG_FIELDS}
+            }
+            totalDiscountsSet {
+              ${MONEY_BAG_FIELDS}
+            }
+            totalShippingPriceSet {
+              ${MONEY_BAG_FIELDS}
+            }
+            totalPriceSet {
+              ${MONEY_BAG_FIELDS}
+            }
+            taxLines {
+              title
+              rate
+              priceSet {
+                ${MONEY_BAG_FIELDS}
+              }
+            }
+            appliedDiscount {
+              title
+              description
+              value
+              valueType
+            }
+            discountCodes
+            shippingLine {
+              title
+              shippingRateHandle
+              originalPriceSet {
+                ${MONEY_BAG_FIELDS}
+              }
+            }
+            availableShippingRates {
+              handle
+              title
+              price {
+                amount
+                currencyCode
+              }
+            }
+            lineItems {
+              title
+              quantity
+              sku
+              custom
+              variant {
+                id
+                title
+                sku
+              }
+              originalUnitPriceSet {
+                ${MONEY_BAG_FIELDS}
+              }
+              discountedTotalSet {
+                ${MONEY_BAG_FIELDS}
+              }
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(mutation, { variables: { input } })
+
+      if (response.data?.draftOrderCalculate?.userErrors?.length > 0) {
+        const errors = response.data.draftOrderCalculate.userErrors
+        this.fastify.log.error({ errors }, 'Draft order calculation failed with user errors')
+        throw new Error(`Draft order calculation failed: ${errors.map(e => e.message).join(', ')}`)
+      }
+
+      const calculatedDraftOrder = response.data?.draftOrderCalculate?.calculatedDraftOrder
+
+      if (!calculatedDraftOrder) {
+        throw new Error('Draft order calculation failed: No calculated draft order returned')
+      }
+
+      return calculatedDraftOrder
+    } catch (error) {
+      this.fastify.log.error({ error }, 'Failed to calculate draft order')
+      throw new Error(`Failed to calculate draft order: ${error.message}`)
+    }
+  }
+
+  /**
+   * Format a calculated draft order as a quote preview
+   * @param {Object} calculated - Calculated draft order from Shopify
+   * @returns {Object} Quote preview
+   */
+  formatCalculatedDraftOrder(calculated) {
+    const amount = set => this.presentmentAmount(set) || '0.00'
+
+    // Group tax lines per rate (line items and shipping can report the same rate separately)
+    const taxesByRate = new Map()
+    for (const taxLine of calculated.taxLines || []) {
+      const existing = taxesByRate.get(taxLine.rate)
+      const price = parseFloat(amount(taxLine.priceSet))
+
+      if (existing) {
+        existing.amount += price
+      } else {
+        taxesByRate.set(taxLine.rate, { title: taxLine.title, rate: taxLine.rate, amount: price })
+      }
+    }
+
+    return {
+      currencyCode: calculated.presentmentCurrencyCode || calculated.currencyCode,
+      subtotal: amount(calculated.subtotalPriceSet),
+      taxes: [...taxesByRate.values()].map(tax => ({
+        ...tax,
+        amount: tax.amount.toFixed(2)
+      })),
+      totalTax: amount(calculated.totalTaxSet),
+      discounts: {
+        total: amount(calculated.totalDiscountsSet),
+        appliedDiscount: calculated.appliedDiscount || null,
+        discountCodes: calculated.discountCodes || []
+      },
+      shipping: {
+        line: calculated.shippingLine ? {
+          title: calculated.shippingLine.title,
+          handle: calculated.shippingLine.shippingRateHandle || null,
+          price: amount(calculated.shippingLine.originalPriceSet)
+        } : null,
+        total: amount(calculated.totalShippingPriceSet),
+        options: (calculated.availableShippingRates || []).map(rate => this.formatShippingRate(rate))
+      },
+      total: amount(calculated.totalPriceSet),
+      lineItems: (calculated.lineItems || []).map(line => ({
+        title: line.title,
+        variantId: line.variant?.id || null,
+        sku: line.variant?.sku || line.sku || '',
+        quantity: line.quantity,
+        unitPrice: amount(line.originalUnitPriceSet),
+        total: amount(line.discountedTotalSet)
+      }))
+    }
+  }
+
+  /**
+   * Format an available shipping rate
+   * @param {Object} rate - Shipping rate from Shopify
+   * @returns {Object} Shipping rate (handle, title, price, currencyCode)
+   */
+  formatShippingRate(rate) {
+    return {
+      handle: rate.handle,
+      title: rate.title,
+      price: rate.price?.amount,
+      currencyCode: rate.price?.currencyCode
+    }
+  }
+
+  /**
+   * Complete a draft order, converting the quote into a real order
+   * @param {string} draftOrderId - Draft order ID or GID
+   * @param {Object} options - Completion options
+   * @param {boolean} options.paymentPending - true to mark payment as pending, false to mark the order as paid
+   * @param {Object} options.paymentTerms - Optional payment terms to set before completing (netDays or dueAt, see resolvePaymentTerms)
+   * @returns {Promise<Object>} Completed draft order and resulting order
+   */
+  async completeDraftOrder(draftOrderId, { paymentPending = true, paymentTerms = null } = {}) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    draftOrderId = this.toDraftOrderGid(draftOrderId)
+
+    this.fastify.log.info({ draftOrderId, paymentPending, hasPaymentTerms: !!paymentTerms }, 'Completing draft order')
+
+    // Payment terms live on the draft order and carry over to the order on completion
+    if (paymentTerms) {
+      await this.setPaymentTerms(draftOrderId, await this.resolvePaymentTerms(paymentTerms))
+    }
+
+    const mutation = `
+      mutation draftOrderComplete($id: ID!, $paymentPending: Boolean) {
+        draftOrderComplete(id: $id, paymentPending: $paymentPending) {
+          draftOrder {
+            id
+            name
+            status
+            quoteTemplate: metafield(namespace: "custom", key: "quote_template") {
+              value
+            }
+            quoteLocale: metafield(namespace: "custom", key: "quote_locale") {
+              value
+            }
+            order {
+              id
+              name
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(mutation, {
+        variables: { id: draftOrderId, paymentPending }
+      })
+
+      if (response.data?.draftOrderComplete?.userErrors?.length > 0) {
+        const errors = response.data.draftOrderComplete.userErrors
+        this.fastify.log.error({ errors, draftOrderId }, 'Draft order completion failed with user errors')
+        throw new Error(`Draft order completion failed: ${errors.map(e => e.message).join(', ')}`)
+      }
+
+      const draftOrder = response.data?.draftOrderComplete?.draftOrder
+
+      if (!draftOrder) {
+        throw new Error(`Draft order not found: ${draftOrderId}`)
+      }
+
+      if (!draftOrder.order) {
+        throw new Error('Draft order completion failed: No order returned')
+      }
+
+      this.fastify.log.info({
+        draftOrderId: draftOrder.id,
+        orderId: draftOrder.order.id,
+        orderName: draftOrder.order.name
+      }, 'Draft order completed successfully')
+
+      await this.copyQuoteDocumentSettings(draftOrder, draftOrder.order.id)
+
+      return {
+        draftOrder: {
+          id: draftOrder.id,
+          name: draftOrder.name,
+          status: draftOrder.status
+        },
+        order: draftOrder.order
+      }
+    } catch (error) {
+      this.fastify.log.error({ error, draftOrderId }, 'Failed to complete draft order')
+      throw new Error(`Failed to complete draft order: ${error.message}`)
+    }
+  }
+
+  /**
+   * Copy the quote's invoice template and language onto the order it became
+   * Draft order metafields stay on the draft order, and the order's invoice must match the quote.
+   * The order already exists, so a failure is logged rather than thrown.
+   * @param {Object} draftOrder - Completed draft order (quoteTemplate, quoteLocale)
+   * @param {string} orderId - Order GID
+   * @returns {Promise<void>}
+   */
+  async copyQuoteDocumentSettings(draftOrder, orderId) {
+    const metafields = []
+
+    if (draftOrder.quoteTemplate?.value) {
+      metafields.push(this.buildQuoteTemplateMetafield(draftOrder.quoteTemplate.value))
+    }
+
+    if (draftOrder.quoteLocale?.value) {
+      metafields.push(this.buildQuoteLocaleMetafield(draftOrder.quoteLocale.value))
+    }
+
+    if (metafields.length === 0) {
+      return
+    }
+
+    const mutation = `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(mutation, {
+        variables: { metafields: metafields.map(metafield => ({ ...metafield, ownerId: orderId })) }
+      })
+
+      const errors = response.data?.metafieldsSet?.userErrors || []
+      if (errors.length > 0 || !response.data?.metafieldsSet) {
+        throw new Error(errors.map(e => e.message).join(', ') || response.errors?.message || 'No result returned')
+      }
+    } catch (error) {
+      this.fastify.log.warn({ error, draftOrderId: draftOrder.id, orderId }, 'Failed to copy quote template and locale to order')
+    }
+  }
+
+  /**
+   * Set payment terms on a draft order
+   * @param {string} draftOrderId - Draft order GID
+   * @param {Object} paymentTerms - Resolved payment terms (see buildPaymentTermsInput)
+   * @returns {Promise<void>}
+   */
+  async setPaymentTerms(draftOrderId, paymentTerms) {
+    const mutation = `
+      mutation draftOrderUpdate($id: ID!, $input: DraftOrderInput!) {
+        draftOrderUpdate(id: $id, input: $input) {
+          draftOrder {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(mutation, {
+      variables: {
+        id: draftOrderId,
+        input: { paymentTerms: this.buildPaymentTermsInput(paymentTerms) }
+      }
+    })
+
+    if (response.data?.draftOrderUpdate?.userErrors?.length > 0) {
+      const errors = response.data.draftOrderUpdate.userErrors
+      this.fastify.log.error({ errors, draftOrderId, paymentTermsTemplateId: paymentTerms.paymentTermsTemplateId }, 'Setting payment terms failed with user errors')
+      throw new Error(
+        `Draft order completion failed: payment terms template ${paymentTerms.paymentTermsTemplateId} ` +
+        `rejected for draft order ${draftOrderId}: ${errors.map(e => e.message).join(', ')}`
+      )
+    }
+
+    if (!response.data?.draftOrderUpdate?.draftOrder) {
+      throw new Error(`Draft order not found: ${draftOrderId}`)
+    }
+  }
+
+  /**
+   * Build Shopify payment terms input
+   * Net terms are scheduled from the issue date (defaults to now),
+   * fixed terms need an explicit due date.
+   * @param {Object} paymentTerms - Payment terms
+   * @param {string} paymentTerms.paymentTermsTemplateId - PaymentTermsTemplate GID
+   * @param {string} paymentTerms.issuedAt - Issue date for net terms (ISO 8601)
+   * @param {string} paymentTerms.dueAt - Due date for fixed terms (ISO 8601)
+   * @returns {Object} Shopify PaymentTermsInput
+   */
+  buildPaymentTermsInput(paymentTerms) {
+    const input = {
+      paymentTermsTemplateId: paymentTerms.paymentTermsTemplateId
+    }
+
+    if (paymentTerms.dueAt) {
+      input.paymentSchedules = [{ dueAt: paymentTerms.dueAt }]
+    } else {
+      input.paymentSchedules = [{ issuedAt: paymentTerms.issuedAt || new Date().toISOString() }]
+    }
+
+    return input
+  }
+
+  /**
+   * Check whether quotes for a company location are reverse charged
+   * The country goods are shipped to decides: the quote's own address when it has one,
+   * else the location's shipping address, with the billing country as the fallback.
+   * @param {string} companyLocationId - Company location GID
+   * @param {string} destinationCountryCode - Country of the quote's address (optional)
+   * @returns {Promise<boolean>}
+   */
+  async isReverseChargeLocation(companyLocationId, destinationCountryCode = null) {
+    const query = `
+      query companyLocationTaxDetails($id: ID!) {
+        companyLocation(id: $id) {
+          taxSettings {
+            taxRegistrationId
+          }
+          shippingAddress {
+            countryCode
+          }
+          billingAddress {
+            countryCode
+          }
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(query, {
+      variables: { id: companyLocationId }
+    })
+
+    const location = response.data?.companyLocation
+
+    if (!location) {
+      throw new Error(`Failed to fetch company location tax details: ${response.errors?.message || companyLocationId}`)
+    }
+
+    const countryCode = destinationCountryCode || location.shippingAddress?.countryCode || location.billingAddress?.countryCode
+    let vatId = location.taxSettings?.taxRegistrationId
+
+    // Only a VAT ID confirmed by VIES justifies dropping VAT
+    if (vatId) {
+      const validation = await this.fastify.services.vatValidation.validate(vatId)
+
+      if (validation.valid !== true) {
+        this.fastify.log.warn({ companyLocationId, vatId, source: validation.source }, 'Company VAT ID not verified, charging VAT')
+        vatId = null
+      }
+    }
+
+    const reverseCharge = this.fastify.services.tax.isReverseCharge({ countryCode, vatId })
+
+    this.fastify.log.info({ companyLocationId, countryCode, hasVatId: !!vatId, reverseCharge }, 'Checked reverse charge for company location')
+
+    return reverseCharge
+  }
+
+  /**
+   * Check whether a purchasing company input moves a quote to another company or location
+   * @param {Object} existing - Current draft order (formatted)
+   * @param {Object} purchasingCompany - Purchasing company input (companyId, companyLocationId)
+   * @returns {boolean}
+   */
+  isPurchasingLocationChange(existing, purchasingCompany) {
+    return existing.company?.id !== purchasingCompany.companyId ||
+      existing.company?.locationId !== purchasingCompany.companyLocationId
+  }
+
+  /**
+   * Resolve requested payment terms for a quote (create, update and completion)
+   * Explicit terms (Net 7/15/30/60 or a fixed due date) are matched to the shop's
+   * payment terms templates; without them a company buyer gets its location's default terms.
+   * @param {Object} requested - Requested terms from the payload
+   * @param {number} requested.netDays - Net terms in days (7, 15, 30 or 60)
+   * @param {string} requested.dueAt - Fixed due date (ISO 8601)
+   * @param {Object} purchasingCompany - Purchasing company input (companyLocationId), optional
+   * @returns {Promise<Object|null>} Payment terms for buildPaymentTermsInput, or null for none
+   */
+  async resolvePaymentTerms(requested, purchasingCompany = null) {
+    if (requested?.netDays || requested?.dueAt) {
+      const templates = await this.fetchPaymentTermsTemplates()
+      const template = requested.dueAt
+        ? templates.find(t => t.paymentTermsType === 'FIXED')
+        : templates.find(t => t.paymentTermsType === 'NET' && t.dueInDays === requested.netDays)
+
+      if (!template) {
+        const terms = requested.dueAt ? 'fixed' : `Net ${requested.netDays}`
+        throw new Error(`Payment terms unavailable: no ${terms} payment terms template`)
+      }
+
+      return {
+        paymentTermsTemplateId: template.id,
+        dueAt: requested.dueAt
+      }
+    }
+
+    if (!purchasingCompany?.companyLocationId) {
+      return null
+    }
+
+    const template = await this.fetchLocationPaymentTermsTemplate(purchasingCompany.companyLocationId)
+
+    if (!template) {
+      return null
+    }
+
+    // A fixed template has no offset from the issue date, so its due date is unknown here
+    if (template.paymentTermsType === 'FIXED') {
+      this.fastify.log.warn({ companyLocationId: purchasingCompany.companyLocationId }, 'Location default payment terms are fixed, skipping without a due date')
+      return null
+    }
+
+    return { paymentTermsTemplateId: template.id }
+  }
+
+  /**
+   * Fetch the shop's payment terms templates (cached for the service lifetime)
+   * @returns {Promise<Array>} Templates (id, name, paymentTermsType, dueInDays)
+   */
+  async fetchPaymentTermsTemplates() {
+    if (this.paymentTermsTemplates) {
+      return this.paymentTermsTemplates
+    }
+
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    const query = `
+      query paymentTermsTemplates {
+        paymentTermsTemplates {
+          id
+          name
+          paymentTermsType
+          dueInDays
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(query)
+    const templates = response.data?.paymentTermsTemplates
+
+    if (!templates) {
+      throw new Error(`Failed to fetch payment terms templates: ${response.errors?.message || 'No templates returned'}`)
+    }
+
+    this.paymentTermsTemplates = templates
+    return templates
+  }
+
+  /**
+   * Fetch a company location's default payment terms template
+   * @param {string} companyLocationId - Company location GID
+   * @returns {Promise<Object|null>} Template (id, name, paymentTermsType, dueInDays) or null
+   */
+  async fetchLocationPaymentTermsTemplate(companyLocationId) {
+    if (!this.adminClient) return null
+
+    const query = `
+      query companyLocationPaymentTerms($id: ID!) {
+        companyLocation(id: $id) {
+          buyerExperienceConfiguration {
+            paymentTermsTemplate {
+              id
+              name
+              paymentTermsType
+              dueInDays
+            }
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(query, {
+        variables: { id: companyLocationId }
+      })
+
+      return response.data?.companyLocation?.buyerExperienceConfiguration?.paymentTermsTemplate || null
+    } catch (error) {
+      this.fastify.log.warn({ error, companyLocationId }, 'Failed to fetch company location payment terms')
+      return null
+    }
+  }
+
+  /**
+   * Format payment terms for API (draft orders and orders share the shape)
+   * Net terms on an unsent quote have no due date yet, so it is derived from the issue date.
+   * @param {Object} paymentTerms - Payment terms from Shopify
+   * @returns {Object|null} Payment terms (name, type, dueInDays, issuedAt, dueAt)
+   */
+  formatPaymentTerms(paymentTerms) {
+    if (!paymentTerms) {
+      return null
+    }
+
+    const schedule = paymentTerms.paymentSchedules?.edges?.[0]?.node
+    let dueAt = schedule?.dueAt || null
+
+    if (!dueAt && paymentTerms.dueInDays != null) {
+      const issuedAt = schedule?.issuedAt ? new Date(schedule.issuedAt) : new Date()
+      dueAt = new Date(issuedAt.getTime() + paymentTerms.dueInDays * 24 * 60 * 60 * 1000).toISOString()
+    }
+
+    return {
+      name: paymentTerms.paymentTermsName,
+      type: paymentTerms.paymentTermsType,
+      dueInDays: paymentTerms.dueInDays ?? null,
+      issuedAt: schedule?.issuedAt || null,
+      dueAt
+    }
+  }
+
+  /**
+   * Duplicate a draft order as a new quote (re-quote)
+   * The new draft keeps the original's B2B purchasing entity, addresses and custom
+   * attributes, and both drafts are linked through custom.requoted_from / custom.requoted_to.
+   * @param {string} draftOrderId - Draft order ID or GID to duplicate
+   * @param {Object} options - Duplication options
+   * @param {boolean} options.reprice - Re-price variant lines against current catalog prices
+   * @returns {Promise<Object>} New draft order and the original's ID
+   */
+  async duplicateDraftOrder(draftOrderId, { reprice = false } = {}) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    draftOrderId = this.toDraftOrderGid(draftOrderId)
+
+    this.fastify.log.info({ draftOrderId, reprice }, 'Duplicating draft order')
+
+    const original = await this.fetchDraftOrderById(draftOrderId)
+
+    const mutation = `
+      mutation draftOrderDuplicate($id: ID) {
+        draftOrderDuplicate(id: $id) {
+          draftOrder {
+            id
+            name
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    let duplicate
+    try {
+      const response = await this.adminClient.request(mutation, {
+        variables: { id: original.id }
+      })
+
+      if (response.data?.draftOrderDuplicate?.userErrors?.length > 0) {
+        const errors = response.data.draftOrderDuplicate.userErrors
+        this.fastify.log.error({ errors, draftOrderId }, 'Draft order duplication failed with user errors')
+        throw new Error(`Draft order duplication failed: ${errors.map(e => e.message).join(', ')}`)
+      }
+
+      duplicate = response.data?.draftOrderDuplicate?.draftOrder
+
+      if (!duplicate) {
+        throw new Error('Draft order duplication failed: No draft order returned')
+      }
+    } catch (error) {
+      this.fastify.log.error({ error, draftOrderId }, 'Failed to duplicate draft order')
+      throw new Error(`Failed to duplicate draft order: ${error.message}`)
+    }
+
+    const draftOrder = await this.applyDraftOrderUpdate(duplicate.id, this.buildRequoteInput(original, { reprice }))
+
+    // Link the original forward to its re-quote; the new draft already points back
+    try {
+      await this.setDraftOrderMetafields(original.id, [
+        { key: 'requoted_to', type: 'single_line_text_field', value: draftOrder.id }
+      ])
+    } catch (error) {
+      this.fastify.log.warn({ error, draftOrderId: original.id }, 'Failed to link original draft order to its re-quote')
+    }
+
+    this.fastify.log.info({
+      originalDraftOrderId: original.id,
+      draftOrderId: draftOrder.id,
+      draftOrderName: draftOrder.name
+    }, 'Draft order duplicated successfully')
+
+    return {
+      draftOrder,
+      originalDraftOrderId: original.id
+    }
+  }
+
+  /**
+   * Build the draftOrderUpdate input that carries an original quote over to its duplicate
+   * @param {Object} original - Original draft order (formatDraftOrderResponse shape)
+   * @param {Object} options - Options
+   * @param {boolean} options.reprice - Re-send variant lines without prices so current prices apply
+   * @returns {Object} Shopify DraftOrderInput
+   */
+  buildRequoteInput(original, { reprice = false } = {}) {
+    // A re-quote starts a fresh validity period, so it is never expired itself
+    const tags = original.tags.filter(tag => tag !== 'quote-expired')
+
+    const input = {
+      tags: [...new Set([...tags, 'quote-request', 'requote'])],
+      customAttributes: original.customAttributes.map(attr => ({
+        key: attr.key,
+        value: attr.value
+      })),
+      metafields: [
+        {
+          namespace: 'custom',
+          key: 'requoted_from',
+          type: 'single_line_text_field',
+          value: original.id
+        },
+        this.buildQuoteExpiryMetafield()
+      ]
+    }
+
+    if (original.template) {
+      input.metafields.push(this.buildQuoteTemplateMetafield(original.template))
+    }
+
+    if (original.locale) {
+      input.metafields.push(this.buildQuoteLocaleMetafield(original.locale))
+    }
+
+    if (original.company?.id && original.company.locationId) {
+      input.purchasingEntity = this.buildPurchasingEntityInput(original.company)
+    }
+
+    if (original.shippingAddress && this.hasAddressData(original.shippingAddress)) {
+      input.shippingAddress = this.buildShopifyAddress(original.shippingAddress)
+    }
+
+    if (original.billingAddress && this.hasAddressData(original.billingAddress)) {
+      input.billingAddress = this.buildShopifyAddress(original.billingAddress)
+    }
+
+    // Variant lines sent without a price pick up the current catalog price
+    if (reprice) {
+      input.lineItems = this.mergeLineItemChanges(original.lineItems, [], { keepPrices: false })
+        .map(line => this.buildLineItemInput(line))
+    }
+
+    return input
+  }
+
+  /**
+   * Build the purchasing entity input from a formatted draft order's company
+   * @param {Object} company - Company info (id, locationId, contactId)
+   * @returns {Object} Shopify PurchasingEntityInput
+   */
+  buildPurchasingEntityInput(company) {
+    return {
+      purchasingCompany: {
+        companyId: company.id,
+        companyLocationId: company.locationId,
+        companyContactId: company.contactId
+      }
+    }
+  }
+
+  /**
+   * Set custom namespace metafields on a draft order
+   * @param {string} draftOrderId - Draft order GID
+   * @param {Array} metafields - Metafields (key, type, value)
+   * @returns {Promise<Array>} Metafields that were set
+   */
+  async setDraftOrderMetafields(draftOrderId, metafields) {
+    const mutation = `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            key
+            value
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(mutation, {
+      variables: {
+        metafields: metafields.map(metafield => ({
+          ownerId: draftOrderId,
+          namespace: 'custom',
+          ...metafield
+        }))
+      }
+    })
+
+    if (response.data?.metafieldsSet?.userErrors?.length > 0) {
+      const errors = response.data.metafieldsSet.userErrors
+      throw new Error(`Failed to set draft order metafields: ${errors.map(e => e.message).join(', ')}`)
+    }
+
+    return response.data?.metafieldsSet?.metafields || []
+  }
+
+  /**
+   * Apply line item changes to a draft order's current line items
+   * Current lines keep their price (presentment money) and discount, so editing one line
+   * doesn't re-price the others. A change names a current line by its id or variantId;
+   * a new line is a variantId or a custom title and price. Quantity 0 removes the line.
+   * @param {Object} lineItems - Current line items connection from Shopify
+   * @param {Array} changes - Line changes (id or variantId or title and price, quantity, properties)
+   * @param {Object} options - Merge options
+   * @param {boolean} options.keepPrices - false to let variant lines pick up the current catalog price
+   * @returns {Array} Resulting cart lines for buildLineItemInput
+   */
+  mergeLineItemChanges(lineItems, changes, { keepPrices = true } = {}) {
+    const cartLines = (lineItems?.edges || []).map(({ node }) => {
+      const variantId = node.variant?.id
+      const unitPrice = this.lineUnitPrice(node)
+
+      return {
+        id: node.id,
+        variantId,
+        // Custom lines have no variant and always keep their price
+        title: node.title,
+        unitPrice: (keepPrices || !variantId) ? unitPrice : null,
+        taxable: node.taxable,
+        sku: node.sku,
+        quantity: node.quantity,
+        appliedDiscount: node.appliedDiscount || null,
+        properties: node.customAttributes || []
+      }
+    })
+
+    for (const change of changes) {
+      const existing = change.id
+        ? cartLines.find(line => line.id === change.id)
+        : cartLines.find(line => line.variantId && line.variantId === change.variantId)
+
+      if (change.id && !existing) {
+        throw new Error(`Draft order update failed: draft order has no line item ${change.id}`)
+      }
+
+      if (existing) {
+        existing.quantity = change.quantity
+        if (change.properties) existing.properties = change.properties
+        if (change.title && !existing.variantId) existing.title = change.title
+        if (change.price !== undefined) {
+          existing.unitPrice = { amount: String(change.price), currencyCode: existing.unitPrice?.currencyCode }
+        }
+      } else if (change.quantity > 0) {
+        cartLines.push({
+          variantId: change.variantId,
+          title: change.title,
+          price: change.price,
+          quantity: change.quantity,
+          properties: change.properties || []
+        })
+      }
+    }
+
+    return cartLines.filter(line => line.quantity > 0)
+  }
+
+  /**
+   * Get a current line's unit price as a MoneyInput in the draft's presentment currency
+   * @param {Object} node - Draft order line item
+   * @returns {Object|null} { amount, currencyCode } or null when the line has no price set
+   */
+  lineUnitPrice(node) {
+    const money = node.originalUnitPriceSet?.presentmentMoney || node.originalUnitPriceSet?.shopMoney
+
+    return money ? { amount: money.amount, currencyCode: money.currencyCode } : null
+  }
+
+  /**
+   * List quote draft orders (tagged quote-request) with cursor pagination
+   * @param {Object} options - Pagination and filter options
+   * @param {number} options.first - Page size when paginating forwards
+   * @param {string} options.after - Cursor to fetch the page after
+   * @param {string} options.before - Cursor to fetch the page before
+   * @param {Object} options.filters - Filters (see buildQuoteSearchQuery)
+   * @returns {Promise<Object>} Draft order summaries and page info
+   */
+  async listDraftOrders({ first = 20, after = null, before = null, filters = {} } = {}) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    // Draft order search has no email or company field: the email is resolved to its customer,
+    // and the company to company IDs that the returned page is filtered by
+    const customer = filters.email ? await this.fastify.services.customer.findCustomerByEmail(filters.email) : null
+    const companyIds = filters.company ? await this.findCompanyIds(filters.company) : []
+
+    if ((filters.email && !customer) || (filters.company && companyIds.length === 0)) {
+      return {
+        draftOrders: [],
+        pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null }
+      }
+    }
+
+    const searchQuery = this.buildQuoteSearchQuery(filters, { customerId: customer?.id })
+
+    this.fastify.log.info({ searchQuery, first, after, before }, 'Listing draft orders')
+
+    const query = `
+      query draftOrders($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+        draftOrders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: NUMBER, reverse: true) {
+          edges {
+            cursor
+            node {
+              id
+              name
+              status
+              email
+              tags
+              createdAt
+              updatedAt
+              invoiceSentAt
+              totalPrice
+              currencyCode
+              presentmentCurrencyCode
+              totalPriceSet {
+                ${MONEY_BAG_FIELDS}
+              }
+              customer {
+                id
+                email
+                firstName
+                lastName
+              }
+              purchasingEntity {
+                ... on PurchasingCompany {
+                  company {
+                    id
+                    name
+                  }
+                }
+              }
+              quotePdf: metafield(namespace: "custom", key: "quote_pdf") {
+                value
+              }
+              quoteExpiresAt: metafield(namespace: "custom", key: "quote_expires_at") {
+                value
+              }
+              reserveInventoryUntil
+              paymentTerms {
+                ${PAYMENT_TERMS_FIELDS}
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+        }
+      }
+    `
+
+    // Paginating backwards requires `last` instead of `first`
+    const variables = before
+      ? { last: first, before, query: searchQuery }
+      : { first, after, query: searchQuery }
+
+    try {
+      const response = await this.adminClient.request(query, { variables })
+
+      if (response.errors) {
+        throw new Error(response.errors.message || 'GraphQL request failed')
+      }
+
+      const connection = response.data?.draftOrders
+
+      if (!connection) {
+        throw new Error('No draft orders returned')
+      }
+
+      // A company-filtered page can hold fewer quotes than requested; its cursors still page on
+      const nodes = connection.edges
+        .map(({ node }) => node)
+        .filter(node => companyIds.length === 0 || companyIds.includes(node.purchasingEntity?.company?.id))
+
+      return {
+        draftOrders: nodes.map(node => this.formatDraftOrderSummary(node)),
+        pageInfo: connection.pageInfo
+      }
+    } catch (error) {
+      this.fastify.log.error({ error, searchQuery }, 'Failed to list draft orders')
+      throw new Error(`Failed to list draft orders: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build a Shopify search query for quote draft orders
+   * Only documented draft order search fields are used (Shopify ignores unknown ones), each
+   * with a normalized value, so filter values can't add terms of their own.
+   * @param {Object} filters - Search filters
+   * @param {string} filters.status - OPEN, INVOICE_SENT or COMPLETED
+   * @param {string} filters.createdFrom - Earliest creation date (ISO 8601)
+   * @param {string} filters.createdTo - Latest creation date (ISO 8601)
+   * @param {boolean} filters.cartApi - Only (true) or never (false) quotes tagged cart-api
+   * @param {Object} resolved - Filters resolved to Shopify IDs
+   * @param {string} resolved.customerId - Customer GID (resolved from filters.email)
+   * @returns {string} Search query
+   * @throws {Error} When a creation date is not a valid date
+   */
+  buildQuoteSearchQuery(filters = {}, { customerId = null } = {}) {
+    const terms = ['tag:quote-request']
+
+    if (filters.status) terms.push(`status:${filters.status.toLowerCase()}`)
+    if (filters.createdFrom) terms.push(`created_at:>='${this.toSearchDate(filters.createdFrom)}'`)
+    if (filters.createdTo) terms.push(`created_at:<='${this.toSearchDate(filters.createdTo)}'`)
+    if (filters.cartApi === true) terms.push('tag:cart-api')
+    if (filters.cartApi === false) terms.push('-tag:cart-api')
+    if (customerId) terms.push(`customer_id:${String(customerId).split('/').pop()}`)
+
+    return terms.join(' AND ')
+  }
+
+  /**
+   * Normalize a date filter for a Shopify search term
+   * @param {string} value - Date or date-time (ISO 8601)
+   * @returns {string} ISO 8601 date-time
+   * @throws {Error} When the value is not a valid date
+   */
+  toSearchDate(value) {
+    const date = new Date(value)
+
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid filter: "${value}" is not a date`)
+    }
+
+    return date.toISOString()
+  }
+
+  /**
+   * Find the companies a company filter refers to
+   * @param {string} company - Company GID, numeric ID or name
+   * @returns {Promise<string[]>} Company GIDs (empty when no company matches)
+   */
+  async findCompanyIds(company) {
+    if (/^(gid:\/\/shopify\/Company\/)?\d+$/.test(company)) {
+      return [company.startsWith('gid://') ? company : `gid://shopify/Company/${company}`]
+    }
+
+    const query = `
+      query companiesByName($query: String) {
+        companies(first: 25, query: $query) {
+          edges {
+            node {
+              id
+            }
+          }
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(query, {
+      variables: { query: `name:${quoteSearchValue(company)}` }
+    })
+
+    if (!response.data?.companies) {
+      throw new Error(`Failed to find companies: ${response.errors?.message || 'No companies returned'}`)
+    }
+
+    return response.data.companies.edges.map(({ node }) => node.id)
+  }
+
+  /**
+   * Find open quotes whose custom.quote_expires_at has passed and expire them:
+   * tag them quote-expired (releasing reserved inventory) or delete them
+   * @param {Object} options - Sweep options
+   * @param {string} options.action - 'tag' or 'delete'
+   * @param {Date} options.now - Reference time (defaults to now)
+   * @returns {Promise<Object>} IDs of expired and failed draft orders
+   */
+  async sweepExpiredQuotes({ action = 'tag', now = new Date() } = {}) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    const query = `
+      query expiringDraftOrders($after: String, $query: String) {
+        draftOrders(first: 100, after: $after, query: $query) {
+          edges {
+            node {
               id
-              email
-              firstName
-              lastName
-            }
-            shippingAddress {
-              firstName
-              lastName
-              address1
-              address2
-              city
-              province
-              country
-              zip
-              phone
-            }
-            billingAddress {
-              firstName
-              lastName
-              address1
-              address2
-              city
-              province
-              country
-              zip
-              phone
-            }
-            lineItems(first: 100) {
-              edges {
-                node {
-                  id
-                  title
-                  quantity
-                  originalUnitPrice
-                  taxLines {
-                    title
-                    rate
-                    price
-                  }
-                  variant {
-                    id
-                    title
-                    sku
-                  }
-                }
-              }
-            }
-            purchasingEntity {
-              ... on PurchasingCompany {
-                company {
-                  name
-                }
-                location {
-                  taxSettings {
-                    taxRegistrationId
-                  }
-                }
+              name
+              tags
+              reserveInventoryUntil
+              quoteExpiresAt: metafield(namespace: "custom", key: "quote_expires_at") {
+                value
               }
             }
           }
-          userErrors {
-            field
-            message
+          pageInfo {
+            hasNextPage
+            endCursor
           }
         }
       }
     `
 
-    try {
-      const response = await this.adminClient.request(mutation, {
-        variables: { input }
-      })
+    // Expiry is a metafield, which search can't filter on, so scan the open quotes
+    const searchQuery = `${this.buildQuoteSearchQuery()} AND -status:completed AND -tag:quote-expired`
+    const expiredQuotes = []
+    let after = null
 
-      if (response.data?.draftOrderCreate?.userErrors?.length > 0) {
-        const errors = response.data.draftOrderCreate.userErrors
-        this.fastify.log.error({ errors }, 'Draft order creation failed with user errors')
-        throw new Error(`Draft order creation failed: ${errors.map(e => e.message).join(', ')}`)
+    do {
+      const response = await this.adminClient.request(query, { variables: { after, query: searchQuery } })
+      const connection = response.data?.draftOrders
+
+      if (!connection) {
+        throw new Error(`Failed to list quotes for expiry: ${response.errors?.message || 'No draft orders returned'}`)
       }
 
-      const draftOrder = response.data?.draftOrderCreate?.draftOrder
-      
-      if (!draftOrder) {
-        throw new Error('Draft order creation failed: No draft order returned')
+      for (const { node } of connection.edges) {
+        const expiresAt = node.quoteExpiresAt?.value
+
+        if (expiresAt && new Date(expiresAt) <= now) {
+          expiredQuotes.push(node)
+        }
       }
 
-      this.fastify.log.info({ 
-        draftOrderId: draftOrder.id,
-        draftOrderName: draftOrder.name 
-      }, 'Draft order created successfully')
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null
+    } while (after)
 
-      return this.formatDraftOrderResponse(draftOrder)
-    } catch (error) {
-      this.fastify.log.error({ error }, 'Failed to create draft order')
-      throw new Error(`Failed to create draft order: ${error.message}`)
+    const result = { expired: [], failed: [] }
+
+    // Act after scanning, so deletions don't shift the pages being read
+    for (const draftOrder of expiredQuotes) {
+      try {
+        if (action === 'delete') {
+          await this.deleteDraftOrder(draftOrder.id)
+        } else {
+          await this.markDraftOrderExpired(draftOrder)
+        }
+        result.expired.push(draftOrder.id)
+      } catch (error) {
+        this.fastify.log.error({ error, draftOrderId: draftOrder.id }, 'Failed to expire quote')
+        result.failed.push(draftOrder.id)
+      }
     }
-  }
 
-  /**
-   * Check if address has any data
-   * @param {Object} address - Address object
-   * @returns {boolean} True if address has data
-   */
-  hasAddressData(address) {
-    return !!(address.address1 || address.city || address.country || address.countryCode)
+    this.fastify.log.info({
+      action,
+      expiredCount: result.expired.length,
+      failedCount: result.failed.length
+    }, 'Expired quotes swept')
+
+    return result
   }
 
   /**
-   * Build Shopify address format
-   * @param {Object} address - Address data
-   * @returns {Object} Shopify formatted address
+   * Tag a draft order quote-expired and release its inventory reservation
+   * @param {Object} draftOrder - Draft order (id, tags, reserveInventoryUntil)
+   * @returns {Promise<void>}
    */
-  buildShopifyAddress(address) {
-    const shopifyAddress = {}
+  async markDraftOrderExpired(draftOrder) {
+    const input = {
+      tags: [...new Set([...draftOrder.tags, 'quote-expired'])]
+    }
 
-    if (address.firstName) shopifyAddress.firstName = address.firstName
-    if (address.lastName) shopifyAddress.lastName = address.lastName
-    if (address.company) shopifyAddress.company = address.company
-    if (address.address1) shopifyAddress.address1 = address.address1
-    if (address.address2) shopifyAddress.address2 = address.address2
-    if (address.city) shopifyAddress.city = address.city
-    if (address.province) shopifyAddress.province = address.province
-    if (address.provinceCode) shopifyAddress.provinceCode = address.provinceCode
-    if (address.country) shopifyAddress.country = address.country
-    if (address.countryCode) shopifyAddress.countryCode = address.countryCode
-    if (address.zip) shopifyAddress.zip = address.zip
-    if (address.phone) shopifyAddress.phone = address.phone
+    if (draftOrder.reserveInventoryUntil) {
+      input.reserveInventoryUntil = null
+    }
 
-    return shopifyAddress
+    const mutation = `
+      mutation draftOrderUpdate($id: ID!, $input: DraftOrderInput!) {
+        draftOrderUpdate(id: $id, input: $input) {
+          draftOrder {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(mutation, {
+      variables: { id: draftOrder.id, input }
+    })
+
+    const userErrors = response.data?.draftOrderUpdate?.userErrors || []
+
+    if (userErrors.length > 0 || !response.data?.draftOrderUpdate?.draftOrder) {
+      throw new Error(`Draft order update failed: ${userErrors.map(e => e.message).join(', ') || 'No draft order returned'}`)
+    }
   }
 
   /**
-   * Fetch an existing draft order by ID from Shopify
-   * @param {string} draftOrderId - Draft order GID (e.g., gid://shopify/DraftOrder/123)
-   * @returns {Promise<Object>} Draft order data
+   * Delete a draft order (releases any reserved inventory)
+   * @param {string} draftOrderId - Draft order GID
+   * @returns {Promise<void>}
    */
-  async fetchDraftOrderById(draftOrderId) {
+  async deleteDraftOrder(draftOrderId) {
     if (!this.adminClient) {
       throw new Error('Admin API client not configured')
     }
 
-    this.fastify.log.info({ draftOrderId }, 'Fetching draft order by ID')
-
-    const query = `
-      query draftOrder($id: ID!) {
-        draftOrder(id: $id) {
-          id
-          name
-          status
-          invoiceUrl
-          createdAt
-          updatedAt
-          totalPrice
-          subtotalPrice
-          totalTax
-          currencyCode
-          taxLines {
-            title
-            rate
-            price
-          }
-          appliedDiscount {
-            amountSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
-            description
-            title
-            value
-            valueType
-          }
-          discountCodes
-          totalDiscountsSet {
-            shopMoney {
-              amount
-              currencyCode
-            }
-          }
-          shippingLine {
-            title
-            price
-            taxLines {
-              title
-              rate
-              price
-            }
-          }
-          customer {
-            id
-            email
-            firstName
-            lastName
-          }
-          shippingAddress {
-            firstName
-            lastName
-            address1
-            address2
-            city
-            province
-            country
-            zip
-            phone
-          }
-          billingAddress {
-            firstName
-            lastName
-            address1
-            address2
-            city
-            province
-            country
-            zip
-            phone
-          }
-          lineItems(first: 100) {
-            edges {
-              node {
-                id
-                title
-                quantity
-                originalUnitPrice
-                taxLines {
-                  title
-                  rate
-                  price
-                }
-                variant {
-                  id
-                  title
-                  sku
-                }
-              }
-            }
-          }
-          purchasingEntity {
-            ... on PurchasingCompany {
-              company {
-                name
-              }
-              location {
-                taxSettings {
-                  taxRegistrationId
-                }
-              }
-            }
+    const mutation = `
+      mutation draftOrderDelete($input: DraftOrderDeleteInput!) {
+        draftOrderDelete(input: $input) {
+          deletedId
+          userErrors {
+            field
+            message
           }
         }
       }
     `
 
-    try {
-      const response = await this.adminClient.request(query, {
-        variables: { id: draftOrderId }
-      })
+    const response = await this.adminClient.request(mutation, {
+      variables: { input: { id: draftOrderId } }
+    })
 
-      const draftOrder = response.data?.draftOrder
+    const userErrors = response.data?.draftOrderDelete?.userErrors || []
 
-      if (!draftOrder) {
-        throw new Error(`Draft order not found: ${draftOrderId}`)
-      }
+    if (userErrors.length > 0 || !response.data?.draftOrderDelete?.deletedId) {
+      throw new Error(`Draft order deletion failed: ${userErrors.map(e => e.message).join(', ') || 'No draft order deleted'}`)
+    }
 
-      this.fastify.log.info({
-        draftOrderId: draftOrder.id,
-        draftOrderName: draftOrder.name
-      }, 'Draft order fetched successfully')
+    this.fastify.log.info({ draftOrderId }, 'Draft order deleted')
+  }
 
-      return this.formatDraftOrderResponse(draftOrder)
-    } catch (error) {
-      this.fastify.log.error({ error, draftOrderId }, 'Failed to fetch draft order')
-      throw new Error(`Failed to fetch draft order: ${error.message}`)
+  /**
+   * Format a draft order list entry for API
+   * @param {Object} draftOrder - Draft order node from Shopify
+   * @returns {Object} Formatted summary
+   */
+  formatDraftOrderSummary(draftOrder) {
+    return {
+      id: draftOrder.id,
+      name: draftOrder.name,
+      status: draftOrder.status,
+      email: draftOrder.email || draftOrder.customer?.email || null,
+      tags: draftOrder.tags || [],
+      createdAt: draftOrder.createdAt,
+      updatedAt: draftOrder.updatedAt,
+      invoiceSentAt: draftOrder.invoiceSentAt || null,
+      totalPrice: this.presentmentAmount(draftOrder.totalPriceSet, draftOrder.totalPrice),
+      currencyCode: draftOrder.presentmentCurrencyCode || draftOrder.currencyCode,
+      customer: draftOrder.customer,
+      company: draftOrder.purchasingEntity?.company || null,
+      quotePdfUrl: draftOrder.quotePdf?.value || null,
+      expiresAt: draftOrder.quoteExpiresAt?.value || null,
+      reserveInventoryUntil: draftOrder.reserveInventoryUntil || null,
+      paymentTerms: this.formatPaymentTerms(draftOrder.paymentTerms)
     }
   }
 
+  /**
+   * Convert a numeric draft order ID to its GID, leaving GIDs untouched
+   * @param {string} draftOrderId - Numeric ID (e.g., "123") or GID
+   * @returns {string} Draft order GID
+   */
+  toDraftOrderGid(draftOrderId) {
+    return /^\d+$/.test(draftOrderId)
+      ? `gid://shopify/DraftOrder/${draftOrderId}`
+      : draftOrderId
+  }
+
   /**
    * Send invoice email for a draft order
    * @param {string} draftOrderId - Draft order GID (e.g., gid://shopify/DraftOrder/123)
@@ -572,68 +2464,256 @@ class DraftOrderService {
     // Extract company info including VAT from purchasing entity
     const purchasingCompany = draftOrder.purchasingEntity
     const companyInfo = purchasingCompany?.company ? {
+      id: purchasingCompany.company.id,
       name: purchasingCompany.company.name || '',
-      vatId: purchasingCompany.location?.taxSettings?.taxRegistrationId || ''
+      vatId: purchasingCompany.location?.taxSettings?.taxRegistrationId || '',
+      countryCode: purchasingCompany.location?.shippingAddress?.countryCode ||
+        purchasingCompany.location?.billingAddress?.countryCode || null,
+      locationId: purchasingCompany.location?.id || null,
+      contactId: purchasingCompany.contact?.id || null
     } : null
 
+    // Amounts are reported in the presentment currency; shop-currency totals are kept alongside
     return {
       id: draftOrder.id,
       name: draftOrder.name,
       status: draftOrder.status,
       invoiceUrl: draftOrder.invoiceUrl,
-      totalPrice: draftOrder.totalPrice,
-      subtotalPrice: draftOrder.subtotalPrice,
-      totalTax: draftOrder.totalTax,
-      currencyCode: draftOrder.currencyCode,
-      taxLines: draftOrder.taxLines || [],
+      totalPrice: this.presentmentAmount(draftOrder.totalPriceSet, draftOrder.totalPrice),
+      subtotalPrice: this.presentmentAmount(draftOrder.subtotalPriceSet, draftOrder.subtotalPrice),
+      totalTax: this.presentmentAmount(draftOrder.totalTaxSet, draftOrder.totalTax),
+      currencyCode: draftOrder.presentmentCurrencyCode || draftOrder.currencyCode,
+      shopCurrency: {
+        currencyCode: draftOrder.currencyCode,
+        totalPrice: draftOrder.totalPriceSet?.shopMoney?.amount ?? draftOrder.totalPrice,
+        subtotalPrice: draftOrder.subtotalPriceSet?.shopMoney?.amount ?? draftOrder.subtotalPrice,
+        totalTax: draftOrder.totalTaxSet?.shopMoney?.amount ?? draftOrder.totalTax
+      },
+      taxExempt: draftOrder.taxExempt || false,
+      taxLines: this.formatTaxLines(draftOrder.taxLines),
       appliedDiscount: draftOrder.appliedDiscount,
       discountCodes: draftOrder.discountCodes || [],
       totalDiscountsSet: draftOrder.totalDiscountsSet,
-      shippingLine: draftOrder.shippingLine,
+      shippingLine: draftOrder.shippingLine ? {
+        ...draftOrder.shippingLine,
+        price: this.presentmentAmount(draftOrder.shippingLine.originalPriceSet, draftOrder.shippingLine.price),
+        taxLines: this.formatTaxLines(draftOrder.shippingLine.taxLines)
+      } : null,
       createdAt: draftOrder.createdAt,
       updatedAt: draftOrder.updatedAt,
       customer: draftOrder.customer,
       shippingAddress: draftOrder.shippingAddress,
       billingAddress: draftOrder.billingAddress,
-      lineItems: draftOrder.lineItems,
-      company: companyInfo
+      lineItems: draftOrder.lineItems ? {
+        ...draftOrder.lineItems,
+        edges: (draftOrder.lineItems.edges || []).map(({ node }) => ({
+          node: {
+            ...node,
+            originalUnitPrice: this.presentmentAmount(node.originalUnitPriceSet, node.originalUnitPrice),
+            taxLines: this.formatTaxLines(node.taxLines)
+          }
+        }))
+      } : draftOrder.lineItems,
+      company: companyInfo,
+      email: draftOrder.email || null,
+      tags: draftOrder.tags || [],
+      customAttributes: draftOrder.customAttributes || [],
+      quotePdf: {
+        url: draftOrder.quotePdf?.value || null,
+        generatedAt: draftOrder.quotePdfGeneratedAt?.value || null
+      },
+      expiresAt: draftOrder.quoteExpiresAt?.value || null,
+      reserveInventoryUntil: draftOrder.reserveInventoryUntil || null,
+      paymentTerms: this.formatPaymentTerms(draftOrder.paymentTerms),
+      template: draftOrder.quoteTemplate?.value || null,
+      locale: draftOrder.quoteLocale?.value || null
+    }
+  }
+
+  /**
+   * Get an amount in the presentment currency, falling back to the shop currency
+   * @param {Object} moneyBag - Shopify MoneyBag (shopMoney, presentmentMoney)
+   * @param {string} fallback - Amount to use when the money bag wasn't queried
+   * @returns {string} Amount
+   */
+  presentmentAmount(moneyBag, fallback = null) {
+    return moneyBag?.presentmentMoney?.amount ?? moneyBag?.shopMoney?.amount ?? fallback
+  }
+
+  /**
+   * Format tax lines with prices in the presentment currency
+   * @param {Array} taxLines - Draft order tax lines (price, priceSet)
+   * @returns {Array} Tax lines with title, rate and price
+   */
+  formatTaxLines(taxLines) {
+    return (taxLines || []).map(taxLine => ({
+      title: taxLine.title,
+      rate: taxLine.rate,
+      price: this.presentmentAmount(taxLine.priceSet, taxLine.price)
+    }))
+  }
+
+  /**
+   * Resolve and verify the B2B purchasing company for a quote
+   * Company and location IDs come from the client, so the customer must be a contact
+   * of the company with access to the location. Without a location, the company's only
+   * location or the contact's default location (customer metafield custom.default_company_location) is used.
+   * @param {Object} customer - Customer from the payload (id)
+   * @param {Object} purchasingEntity - Purchasing entity from the payload (company.id, location.id)
+   * @returns {Promise<Object>} Shopify PurchasingCompanyInput
+   */
+  async resolvePurchasingCompany(customer, purchasingEntity) {
+    const companyId = purchasingEntity.company.id
+    let companyLocationId = purchasingEntity.location?.id
+
+    if (!customer?.id) {
+      throw new Error(`Company access denied: a customer is required to quote for company ${companyId}`)
+    }
+
+    const contact = await this.fetchCompanyContact(customer.id, companyId)
+
+    if (!contact) {
+      throw new Error(`Company access denied: customer ${customer.id} is not a contact of company ${companyId}`)
+    }
+
+    const autoSelected = !companyLocationId
+
+    if (autoSelected) {
+      companyLocationId = this.selectCompanyLocation(contact, companyId)
+      this.fastify.log.info({ companyId, companyLocationId }, 'Company location auto-selected')
+    }
+
+    const location = await this.fetchCompanyLocationAccess(companyLocationId, contact.id)
+
+    if (location?.company?.id !== companyId) {
+      // A default location saved for another company doesn't pick a location here
+      if (autoSelected) {
+        throw new Error(`Company location required: the default location of contact ${contact.id} is not a location of company ${companyId}`)
+      }
+      throw new Error(`Company access denied: location ${companyLocationId} is not a location of company ${companyId}`)
+    }
+
+    // The main contact can buy for every location; other contacts need a role there
+    if (!contact.isMainContact && location.roleAssignments.edges.length === 0) {
+      throw new Error(`Company access denied: contact ${contact.id} has no access to location ${companyLocationId}`)
+    }
+
+    return {
+      companyId,
+      companyLocationId,
+      companyContactId: contact.id
+    }
+  }
+
+  /**
+   * Pick the location for a quote that names only the company
+   * @param {Object} contact - Company contact (company.locations, defaultLocationId)
+   * @param {string} companyId - Company GID
+   * @returns {string} Company location GID
+   */
+  selectCompanyLocation(contact, companyId) {
+    const companyLocationIds = contact.company.locations.edges.map(({ node }) => node.id)
+
+    if (companyLocationIds.length === 1) {
+      return companyLocationIds[0]
     }
+
+    if (contact.defaultLocationId) {
+      return contact.defaultLocationId
+    }
+
+    throw new Error(`Company location required: company ${companyId} has several locations and contact ${contact.id} has no default location`)
   }
+
   /**
-   * Fetch company contact ID for a customer and company
+   * Fetch a customer's contact profile for a company, with the customer's default location
    * @param {string} customerId - Customer GID
    * @param {string} companyId - Company GID
-   * @returns {Promise<string|null>} Company Contact ID
+   * @returns {Promise<Object|null>} Company contact (with defaultLocationId) or null if the customer is not a contact
    */
-  async fetchCompanyContactId(customerId, companyId) {
-    if (!this.adminClient) return null
+  async fetchCompanyContact(customerId, companyId) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
 
     const query = `
       query customerCompanyContacts($customerId: ID!) {
         customer(id: $customerId) {
+          defaultCompanyLocation: metafield(namespace: "custom", key: "default_company_location") {
+            value
+          }
           companyContactProfiles {
             id
+            isMainContact
             company {
               id
+              locations(first: 2) {
+                edges {
+                  node {
+                    id
+                  }
+                }
+              }
             }
           }
         }
       }
     `
 
-    try {
-      const response = await this.adminClient.request(query, {
-        variables: { customerId }
-      })
+    const response = await this.adminClient.request(query, {
+      variables: { customerId }
+    })
 
-      const profiles = response.data?.customer?.companyContactProfiles || []
-      const match = profiles.find(profile => profile.company?.id === companyId)
+    if (response.errors) {
+      throw new Error(`Failed to fetch company contacts: ${response.errors.message || 'GraphQL request failed'}`)
+    }
 
-      return match ? match.id : null
-    } catch (error) {
-      this.fastify.log.warn({ error, customerId, companyId }, 'Failed to fetch company contact ID')
-      return null
+    const customer = response.data?.customer
+    const contact = (customer?.companyContactProfiles || []).find(profile => profile.company?.id === companyId)
+
+    return contact
+      ? { ...contact, defaultLocationId: customer.defaultCompanyLocation?.value || null }
+      : null
+  }
+
+  /**
+   * Fetch a company location with the contact's role assignment there
+   * Queried per location, so access doesn't depend on paging through all of the contact's assignments.
+   * @param {string} companyLocationId - Company location GID
+   * @param {string} companyContactId - Company contact GID
+   * @returns {Promise<Object|null>} Location (company.id, roleAssignments) or null if it doesn't exist
+   */
+  async fetchCompanyLocationAccess(companyLocationId, companyContactId) {
+    const query = `
+      query companyLocationAccess($id: ID!, $assignmentQuery: String!) {
+        companyLocation(id: $id) {
+          id
+          company {
+            id
+          }
+          roleAssignments(first: 1, query: $assignmentQuery) {
+            edges {
+              node {
+                id
+              }
+            }
+          }
+        }
+      }
+    `
+
+    const response = await this.adminClient.request(query, {
+      variables: {
+        id: companyLocationId,
+        assignmentQuery: `company_contact_id:${String(companyContactId).split('/').pop()}`
+      }
+    })
+
+    if (response.errors) {
+      throw new Error(`Failed to fetch company location access: ${response.errors.message || 'GraphQL request failed'}`)
     }
+
+    return response.data?.companyLocation || null
   }
 }
 
@@ -0,0 +1,114 @@
+'use strict'
+
+/**
+ * Translation catalogs per supported language
+ */
+const CATALOGS = {
+  en: require('../locales/en.json'),
+  et: require('../locales/et.json'),
+  fi: require('../locales/fi.json'),
+  ru: require('../locales/ru.json')
+}
+
+/**
+ * Locale used to format dates and numbers for each language
+ */
+const FORMAT_LOCALES = {
+  en: 'en-US',
+  et: 'et-EE',
+  fi: 'fi-FI',
+  ru: 'ru-RU'
+}
+
+/**
+ * Language used when no candidate is supported
+ */
+const FALLBACK_LANGUAGE = 'en'
+
+/**
+ * Get the supported language of a locale (e.g., "et-EE" or "et_EE" -> "et")
+ * @param {string} locale - Locale or language code
+ * @returns {string|null} Supported language, or null
+ */
+function toLanguage(locale) {
+  const language = String(locale || '').trim().toLowerCase().split(/[-_]/)[0]
+  return CATALOGS[language] ? language : null
+}
+
+/**
+ * Create a translation function for a language
+ * Missing keys fall back to English, then to the key itself. `{name}` placeholders are
+ * replaced with params.
+ * @param {string} language - Supported language
+ * @returns {Function} t(key, params)
+ */
+function createTranslator(language) {
+  const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog)
+
+  return function t(key, params = {}) {
+    const message = lookup(CATALOGS[language], key) ?? lookup(CATALOGS[FALLBACK_LANGUAGE], key)
+
+    if (typeof message !== 'string') {
+      return key
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder)
+  }
+}
+
+/**
+ * I18n Service
+ * Picks the document language and translates invoice and quote labels.
+ * The language falls back from the payload locale to the customer's locale to the shop default.
+ */
+class I18nService {
+  constructor(fastify) {
+    this.fastify = fastify
+  }
+
+  /**
+   * Resolve the document language from locale candidates, most specific first
+   * @param {...string} candidates - Locales (payload, customer, ...); empty values are skipped
+   * @returns {string} Supported language (e.g., "et")
+   */
+  resolveLanguage(...candidates) {
+    const defaultLocale = this.fastify.config?.i18n?.defaultLocale
+
+    for (const candidate of [...candidates, defaultLocale]) {
+      const language = toLanguage(candidate)
+      if (language) return language
+    }
+
+    return FALLBACK_LANGUAGE
+  }
+
+  /**
+   * Get a translation function for a language
+   * @param {string} language - Supported language
+   * @returns {Function} t(key, params)
+   */
+  translator(language) {
+    return createTranslator(toLanguage(language) || FALLBACK_LANGUAGE)
+  }
+
+  /**
+   * Get the formatting locale of a language (for dates and numbers)
+   * @param {string} language - Supported language
+   * @returns {string} BCP 47 locale (e.g., "et-EE")
+   */
+  getFormatLocale(language) {
+    return FORMAT_LOCALES[toLanguage(language) || FALLBACK_LANGUAGE]
+  }
+
+  /**
+   * List the supported languages
+   * @returns {string[]}
+   */
+  getSupportedLanguages() {
+    return Object.keys(CATALOGS)
+  }
+}
+
+module.exports = I18nService
+module.exports.createTranslator = createTranslator
+module.exports.FORMAT_LOCALES = FORMAT_LOCALES
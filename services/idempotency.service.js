@@ -0,0 +1,272 @@
+'use strict'
+
+const fs = require('node:fs/promises')
+const path = require('node:path')
+const crypto = require('node:crypto')
+
+/**
+ * Top-level payload fields that change between retries of the same request
+ * (the client's clock), so they are left out of the fingerprint
+ */
+const VOLATILE_FIELDS = ['timestamp']
+
+/**
+ * Copy a JSON value with object keys sorted, so key order doesn't change the fingerprint
+ * @param {*} value - JSON value
+ * @returns {*} Canonical copy
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize)
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, canonicalize(value[key])])
+    )
+  }
+
+  return value
+}
+
+/**
+ * Idempotency Service
+ * Remembers the result of quote-creating requests so a repeated request
+ * (double click, client retry) within the window replays the original result
+ * instead of creating another draft order. Records are kept in a local JSON file.
+ */
+class IdempotencyService {
+  constructor(fastify) {
+    this.fastify = fastify
+    this.storePath = fastify.config.idempotency.storePath
+    this.windowMs = fastify.config.idempotency.windowSeconds * 1000
+    this.records = null // Loaded from disk on first use
+    this.inFlight = new Map()
+    this.writeQueue = Promise.resolve()
+  }
+
+  /**
+   * Resolve the idempotency key for a request
+   * The Idempotency-Key header wins; the cart token (then checkout token) is the default.
+   * @param {Object} request - Fastify request
+   * @returns {Object|null} { key, explicit } or null when the request carries no key
+   */
+  resolveKey(request) {
+    const header = request.headers['idempotency-key']
+
+    if (header) {
+      return { key: header, explicit: true }
+    }
+
+    const token = request.body?.cartToken || request.body?.checkoutToken
+
+    return token ? { key: token, explicit: false } : null
+  }
+
+  /**
+   * Fingerprint a request payload so a reused key can be matched to its original body
+   * Only what the quote is made of counts: volatile fields are dropped and key order is ignored.
+   * @param {Object} payload - Request body
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(payload) {
+    let content = payload ?? null
+
+    if (content && typeof content === 'object' && !Array.isArray(content)) {
+      content = { ...content }
+      for (const field of VOLATILE_FIELDS) {
+        delete content[field]
+      }
+    }
+
+    return crypto.createHash('sha256').update(JSON.stringify(canonicalize(content))).digest('hex')
+  }
+
+  /**
+   * Run an operation for a request, de-duplicated when the request carries a key
+   * @param {string} scope - Route scope (e.g., 'draft-orders')
+   * @param {Object} request - Fastify request
+   * @param {Function} operation - Async function producing the result to remember
+   * @returns {Promise<Object>} { result, replayed, idempotencyKey }
+   */
+  async runOnce(scope, request, operation) {
+    const idempotencyKey = this.resolveKey(request)
+
+    if (!idempotencyKey) {
+      return { result: await operation(), replayed: false, idempotencyKey: null }
+    }
+
+    const { result, replayed } = await this.execute(scope, idempotencyKey, this.fingerprint(request.body), operation)
+
+    return { result, replayed, idempotencyKey }
+  }
+
+  /**
+   * Run an operation at most once per scope and key within the window
+   * Concurrent requests with the same key wait for the first one. A stored result is
+   * replayed when the payload matches; an explicit key reused with a different payload
+   * is rejected, while a default (cart token) key with a different payload starts over,
+   * since the cart has changed since the earlier quote.
+   *
+   * @param {string} scope - Route scope (e.g., 'draft-orders')
+   * @param {Object} idempotencyKey - Result of resolveKey
+   * @param {string} fingerprint - Payload fingerprint
+   * @param {Function} operation - Async function producing the result to remember
+   * @returns {Promise<Object>} { result, replayed }
+   */
+  async execute(scope, idempotencyKey, fingerprint, operation) {
+    const id = `${scope}:${idempotencyKey.key}`
+
+    if (this.inFlight.has(id)) {
+      const pending = this.inFlight.get(id)
+
+      if (pending.fingerprint === fingerprint) {
+        this.fastify.log.info({ scope, key: idempotencyKey.key }, 'Waiting for in-flight idempotent request')
+        const { result } = await pending.promise
+        return { result, replayed: true }
+      }
+
+      if (idempotencyKey.explicit) {
+        throw new Error('Idempotency key conflict: key is in use by a request with a different payload')
+      }
+    }
+
+    // Registered before the first await, so concurrent requests find it
+    const promise = (async () => {
+      const record = await this.get(id)
+
+      if (record) {
+        if (record.fingerprint === fingerprint) {
+          this.fastify.log.info({ scope, key: idempotencyKey.key }, 'Replaying idempotent request')
+          return { result: record.result, replayed: true }
+        }
+
+        if (idempotencyKey.explicit) {
+          throw new Error('Idempotency key conflict: key was already used with a different payload')
+        }
+      }
+
+      const result = await operation()
+      await this.set(id, { fingerprint, result, createdAt: new Date().toISOString() })
+      return { result, replayed: false }
+    })()
+
+    this.inFlight.set(id, { fingerprint, promise })
+
+    try {
+      return await promise
+    } finally {
+      if (this.inFlight.get(id)?.promise === promise) {
+        this.inFlight.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Merge changes into a stored result (e.g., a background PDF job finishing)
+   * @param {string} scope - Route scope
+   * @param {Object} idempotencyKey - Result of resolveKey
+   * @param {Object} changes - Properties to merge into the stored result
+   * @returns {Promise<void>}
+   */
+  async updateResult(scope, idempotencyKey, changes) {
+    const id = `${scope}:${idempotencyKey.key}`
+    const record = await this.get(id)
+
+    if (!record) {
+      return
+    }
+
+    await this.set(id, { ...record, result: { ...record.result, ...changes } })
+  }
+
+  /**
+   * Get an unexpired record
+   * @param {string} id - Scoped key
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async get(id) {
+    const records = await this.load()
+    const record = records[id]
+
+    if (!record || this.isExpired(record)) {
+      return null
+    }
+
+    return record
+  }
+
+  /**
+   * Store a record and persist the store, dropping expired records
+   * @param {string} id - Scoped key
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  async set(id, record) {
+    const records = await this.load()
+    records[id] = record
+
+    for (const [key, value] of Object.entries(records)) {
+      if (this.isExpired(value)) {
+        delete records[key]
+      }
+    }
+
+    await this.persist()
+  }
+
+  /**
+   * Check whether a record is outside the idempotency window
+   * @param {Object} record - Stored record
+   * @returns {boolean}
+   */
+  isExpired(record) {
+    return Date.now() - new Date(record.createdAt).getTime() > this.windowMs
+  }
+
+  /**
+   * Load the store from disk (once)
+   * @returns {Promise<Object>} Records keyed by scoped key
+   */
+  async load() {
+    if (this.records) {
+      return this.records
+    }
+
+    try {
+      this.records = JSON.parse(await fs.readFile(this.storePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.fastify.log.warn({ error, storePath: this.storePath }, 'Failed to read idempotency store, starting empty')
+      }
+      this.records = {}
+    }
+
+    return this.records
+  }
+
+  /**
+   * Write the store to disk; writes are serialized and replace the file atomically
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const write = async () => {
+      const tmpPath = `${this.storePath}.${process.pid}.tmp`
+
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true })
+      await fs.writeFile(tmpPath, JSON.stringify(this.records))
+      await fs.rename(tmpPath, this.storePath)
+    }
+
+    this.writeQueue = this.writeQueue.then(write, write)
+
+    try {
+      await this.writeQueue
+    } catch (error) {
+      // The in-memory store still de-duplicates; only restarts lose records
+      this.fastify.log.error({ error, storePath: this.storePath }, 'Failed to persist idempotency store')
+    }
+  }
+}
+
+module.exports = IdempotencyService
@@ -2,7 +2,7 @@
 
 /**
  * Invoice PDF Service
- * Orchestrates PDF generation, upload, and attachment to draft orders
+ * Orchestrates PDF generation, upload, and attachment to draft orders and orders
  */
 class InvoicePdfService {
   constructor(fastify) {
@@ -12,28 +12,15 @@ class InvoicePdfService {
   /**
    * Generate invoice PDF and attach to draft order
    * Handles the complete workflow: generate PDF -> upload to Shopify -> attach to draft order
-   * 
+   *
    * @param {Object} draftOrder - Draft order data
    * @param {Object} payload - Optional original payload data (for cart-based flow)
    * @returns {Promise<Object>} Result with status and URL
    */
   async generateAndAttachPdf(draftOrder, payload = null) {
     try {
-      // Step 1: Generate VAT Invoice PDF
-      const invoiceData = { draftOrder, payload }
-      const pdfFile = await this.fastify.services.pdf.generateInvoicePdf(invoiceData)
-      const pdfBuffer = Buffer.from(pdfFile)
-      
-      // Generate filename with invoice number
-      const invoiceNumber = draftOrder.name 
-        ? `INV-EE-${draftOrder.name.replace(/[^0-9]/g, '')}`
-        : `INV-EE-${Date.now()}`
-      const filename = `vat_invoice_${invoiceNumber}.pdf`
-      
-      // Step 2: Upload PDF to Shopify (waits for URL to be ready)
-      const file = await this.fastify.services.shopifyFile.uploadPdf(pdfBuffer, filename, {
-        alt: `VAT Invoice ${invoiceNumber}`
-      })
+      // Step 1 & 2: Generate VAT Invoice PDF and upload it to Shopify
+      const { file, invoiceNumber } = await this.generateAndUploadPdf(draftOrder, payload)
 
       // Step 3: Attach PDF URL to draft order via metafield
       await this.fastify.services.shopifyFile.attachFileToDraftOrder(
@@ -54,18 +41,76 @@ class InvoicePdfService {
 
     } catch (error) {
       // PDF generation or upload failed
-      this.fastify.log.error({ 
-        error, 
-        draftOrderId: draftOrder.id 
+      this.fastify.log.error({
+        error,
+        draftOrderId: draftOrder.id
       }, 'PDF generation/upload failed')
-      
+
+      return {
+        status: 'pdf_failed',
+        url: null
+      }
+    }
+  }
+
+  /**
+   * Generate invoice PDF for an order (completed draft order) and attach it to the order
+   * The invoice number is derived from the order name, so the document matches the order;
+   * the template and language chosen for the quote carry over through the order's metafields.
+   *
+   * @param {Object} order - Order data (OrderService.formatOrderResponse shape)
+   * @returns {Promise<Object>} Result with status and URL
+   */
+  async generateAndAttachOrderPdf(order) {
+    try {
+      const { file, invoiceNumber } = await this.generateAndUploadPdf(order, null)
+
+      await this.fastify.services.shopifyFile.attachFileToOrder(order.id, file.url)
+
+      this.fastify.log.info({
+        orderId: order.id,
+        invoiceNumber,
+        pdfUrl: file.url
+      }, 'VAT Invoice PDF created and attached to order successfully')
+
+      return {
+        status: 'completed',
+        url: file.url
+      }
+    } catch (error) {
+      this.fastify.log.error({
+        error,
+        orderId: order.id
+      }, 'Order PDF generation/upload failed')
+
       return {
         status: 'pdf_failed',
         url: null
       }
     }
   }
+
+  /**
+   * Render the VAT invoice PDF for a document and upload it to Shopify
+   * @param {Object} document - Draft order or order data
+   * @param {Object} payload - Optional original payload data
+   * @returns {Promise<Object>} Uploaded file and invoice number
+   */
+  async generateAndUploadPdf(document, payload) {
+    const pdfFile = await this.fastify.services.pdf.generateInvoicePdf({ draftOrder: document, payload })
+    const pdfBuffer = Buffer.from(pdfFile)
+
+    // Generate filename with invoice number
+    const invoiceNumber = this.fastify.services.pdf.getInvoiceNumber(document)
+    const filename = `vat_invoice_${invoiceNumber}.pdf`
+
+    // Upload PDF to Shopify (waits for URL to be ready)
+    const file = await this.fastify.services.shopifyFile.uploadPdf(pdfBuffer, filename, {
+      alt: `VAT Invoice ${invoiceNumber}`
+    })
+
+    return { file, invoiceNumber }
+  }
 }
 
 module.exports = InvoicePdfService
-
@@ -0,0 +1,484 @@
+'use strict'
+
+/**
+ * Number of line items fetched per page; larger orders are paginated
+ */
+const LINE_ITEMS_PAGE_SIZE = 100
+
+/**
+ * Order line item fields, shared by the full order and the line item pages
+ */
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  sku
+  originalUnitPriceSet {
+    shopMoney {
+      amount
+    }
+    presentmentMoney {
+      amount
+      currencyCode
+    }
+  }
+  taxLines {
+    title
+    rate
+    priceSet {
+      shopMoney {
+        amount
+      }
+      presentmentMoney {
+        amount
+        currencyCode
+      }
+    }
+  }
+  variant {
+    id
+    title
+    sku
+  }
+  discountAllocations {
+    allocatedAmountSet {
+      shopMoney {
+        amount
+      }
+      presentmentMoney {
+        amount
+        currencyCode
+      }
+    }
+    discountApplication {
+      targetSelection
+      value {
+        ... on MoneyV2 {
+          amount
+        }
+        ... on PricingPercentageValue {
+          percentage
+        }
+      }
+      ... on ManualDiscountApplication {
+        title
+        description
+      }
+      ... on DiscountCodeApplication {
+        code
+      }
+    }
+  }
+`
+
+/**
+ * Order Service
+ * Handles orders created from completed draft orders using Shopify Admin API
+ */
+class OrderService {
+  constructor(fastify) {
+    this.fastify = fastify
+    this.adminClient = fastify.shopify.admin
+  }
+
+  /**
+   * Fetch an order by ID from Shopify
+   * @param {string} orderId - Order GID (e.g., gid://shopify/Order/123)
+   * @returns {Promise<Object>} Order data in the draft order response shape
+   */
+  async fetchOrderById(orderId) {
+    if (!this.adminClient) {
+      throw new Error('Admin API client not configured')
+    }
+
+    this.fastify.log.info({ orderId }, 'Fetching order by ID')
+
+    const query = `
+      query order($id: ID!) {
+        order(id: $id) {
+          id
+          name
+          createdAt
+          updatedAt
+          currencyCode
+          presentmentCurrencyCode
+          displayFinancialStatus
+          taxExempt
+          subtotalPriceSet {
+            shopMoney {
+              amount
+            }
+            presentmentMoney {
+              amount
+              currencyCode
+            }
+          }
+          totalTaxSet {
+            shopMoney {
+              amount
+            }
+            presentmentMoney {
+              amount
+              currencyCode
+            }
+          }
+          totalPriceSet {
+            shopMoney {
+              amount
+            }
+            presentmentMoney {
+              amount
+              currencyCode
+            }
+          }
+          totalDiscountsSet {
+            shopMoney {
+              amount
+              currencyCode
+            }
+            presentmentMoney {
+              amount
+              currencyCode
+            }
+          }
+          discountCodes
+          taxLines {
+            title
+            rate
+            priceSet {
+              shopMoney {
+                amount
+              }
+              presentmentMoney {
+                amount
+                currencyCode
+              }
+            }
+          }
+          shippingLine {
+            title
+            originalPriceSet {
+              shopMoney {
+                amount
+              }
+              presentmentMoney {
+                amount
+                currencyCode
+              }
+            }
+            taxLines {
+              title
+              rate
+              priceSet {
+                shopMoney {
+                  amount
+                }
+                presentmentMoney {
+                  amount
+                  currencyCode
+                }
+              }
+            }
+          }
+          customer {
+            id
+            email
+            firstName
+            lastName
+            locale
+          }
+          shippingAddress {
+            firstName
+            lastName
+            address1
+            address2
+            city
+            province
+            country
+            countryCodeV2
+            zip
+            phone
+          }
+          billingAddress {
+            firstName
+            lastName
+            address1
+            address2
+            city
+            province
+            country
+            countryCodeV2
+            zip
+            phone
+          }
+          lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+            edges {
+              node {
+                ${LINE_ITEM_FIELDS}
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+          paymentTerms {
+            paymentTermsName
+            paymentTermsType
+            dueInDays
+            paymentSchedules(first: 1) {
+              edges {
+                node {
+                  issuedAt
+                  dueAt
+                }
+              }
+            }
+          }
+          quoteTemplate: metafield(namespace: "custom", key: "quote_template") {
+            value
+          }
+          quoteLocale: metafield(namespace: "custom", key: "quote_locale") {
+            value
+          }
+          purchasingEntity {
+            ... on PurchasingCompany {
+              company {
+                name
+              }
+              location {
+                taxSettings {
+                  taxRegistrationId
+                }
+                shippingAddress {
+                  countryCode
+                }
+                billingAddress {
+                  countryCode
+                }
+              }
+            }
+          }
+        }
+      }
+    `
+
+    try {
+      const response = await this.adminClient.request(query, {
+        variables: { id: orderId }
+      })
+
+      const order = response.data?.order
+
+      if (!order) {
+        throw new Error(`Order not found: ${orderId}`)
+      }
+
+      this.fastify.log.info({
+        orderId: order.id,
+        orderName: order.name
+      }, 'Order fetched successfully')
+
+      return this.formatOrderResponse(await this.loadRemainingLineItems(order))
+    } catch (error) {
+      this.fastify.log.error({ error, orderId }, 'Failed to fetch order')
+      throw new Error(`Failed to fetch order: ${error.message}`)
+    }
+  }
+
+  /**
+   * Fetch the line items beyond the first page and merge them into the order
+   * @param {Object} order - Order from Shopify (lineItems connection with pageInfo)
+   * @returns {Promise<Object>} Order with all line items
+   */
+  async loadRemainingLineItems(order) {
+    let pageInfo = order.lineItems?.pageInfo
+
+    if (!pageInfo?.hasNextPage) {
+      return order
+    }
+
+    const query = `
+      query orderLineItems($id: ID!, $after: String) {
+        order(id: $id) {
+          lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $after) {
+            edges {
+              node {
+                ${LINE_ITEM_FIELDS}
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `
+
+    const edges = [...order.lineItems.edges]
+
+    while (pageInfo.hasNextPage) {
+      const response = await this.adminClient.request(query, {
+        variables: { id: order.id, after: pageInfo.endCursor }
+      })
+
+      const connection = response.data?.order?.lineItems
+
+      if (!connection) {
+        throw new Error(`Failed to fetch line items after ${edges.length} of order ${order.id}`)
+      }
+
+      edges.push(...connection.edges)
+      pageInfo = connection.pageInfo
+    }
+
+    this.fastify.log.info({ orderId: order.id, lineItemsCount: edges.length }, 'Fetched all order line items')
+
+    return {
+      ...order,
+      lineItems: { edges, pageInfo }
+    }
+  }
+
+  /**
+   * Format an order into the same shape as DraftOrderService.formatDraftOrderResponse,
+   * so the invoice PDF can be rendered from either
+   * Orders have no applied discounts; line discounts come from the allocations of discounts
+   * aimed at the line, and the order-level manual discount from the allocations of the one aimed at all lines.
+   * @param {Object} order - Order from Shopify
+   * @returns {Object} Formatted order
+   */
+  formatOrderResponse(order) {
+    const purchasingCompany = order.purchasingEntity
+    const companyInfo = purchasingCompany?.company ? {
+      name: purchasingCompany.company.name || '',
+      vatId: purchasingCompany.location?.taxSettings?.taxRegistrationId || '',
+      countryCode: purchasingCompany.location?.shippingAddress?.countryCode ||
+        purchasingCompany.location?.billingAddress?.countryCode || null
+    } : null
+
+    const lineEdges = order.lineItems?.edges || []
+    const orderDiscountApplication = lineEdges
+      .flatMap(({ node }) => node.discountAllocations || [])
+      .map(allocation => allocation.discountApplication)
+      .find(application => application?.targetSelection === 'ALL' && application.title)
+
+    return {
+      id: order.id,
+      name: order.name,
+      documentType: 'order',
+      financialStatus: order.displayFinancialStatus,
+      totalPrice: this.presentmentAmount(order.totalPriceSet),
+      subtotalPrice: this.presentmentAmount(order.subtotalPriceSet),
+      totalTax: this.presentmentAmount(order.totalTaxSet),
+      currencyCode: order.presentmentCurrencyCode || order.currencyCode,
+      shopCurrency: {
+        currencyCode: order.currencyCode,
+        totalPrice: order.totalPriceSet?.shopMoney?.amount,
+        subtotalPrice: order.subtotalPriceSet?.shopMoney?.amount,
+        totalTax: order.totalTaxSet?.shopMoney?.amount
+      },
+      taxExempt: order.taxExempt || false,
+      taxLines: this.formatTaxLines(order.taxLines),
+      appliedDiscount: orderDiscountApplication ? this.formatAppliedDiscount(orderDiscountApplication) : null,
+      discountCodes: order.discountCodes || [],
+      totalDiscountsSet: order.totalDiscountsSet,
+      shippingLine: order.shippingLine ? {
+        title: order.shippingLine.title,
+        price: this.presentmentAmount(order.shippingLine.originalPriceSet),
+        taxLines: this.formatTaxLines(order.shippingLine.taxLines)
+      } : null,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt,
+      customer: order.customer,
+      shippingAddress: order.shippingAddress,
+      billingAddress: order.billingAddress,
+      lineItems: {
+        edges: lineEdges.map(({ node }) => ({
+          node: {
+            id: node.id,
+            title: node.title,
+            quantity: node.quantity,
+            sku: node.sku,
+            originalUnitPrice: this.presentmentAmount(node.originalUnitPriceSet),
+            ...this.formatLineDiscount(node),
+            taxLines: this.formatTaxLines(node.taxLines),
+            variant: node.variant
+          }
+        }))
+      },
+      company: companyInfo,
+      paymentTerms: this.fastify.services.draftOrder.formatPaymentTerms(order.paymentTerms),
+      template: order.quoteTemplate?.value || null,
+      locale: order.quoteLocale?.value || null
+    }
+  }
+
+  /**
+   * Rebuild a line's own discount from its discount allocations
+   * Allocations of discounts aimed at all lines are the order-level discount and are left out.
+   * @param {Object} node - Order line item
+   * @returns {Object} appliedDiscount with the line's original and discounted totals, or {} without a line discount
+   */
+  formatLineDiscount(node) {
+    const allocations = (node.discountAllocations || [])
+      .filter(allocation => allocation.discountApplication?.targetSelection !== 'ALL')
+
+    if (allocations.length === 0) {
+      return {}
+    }
+
+    const originalTotal = parseFloat(this.presentmentAmount(node.originalUnitPriceSet) || 0) * (node.quantity || 1)
+    const discountTotal = allocations.reduce(
+      (sum, allocation) => sum + parseFloat(this.presentmentAmount(allocation.allocatedAmountSet) || 0),
+      0
+    )
+
+    return {
+      appliedDiscount: this.formatAppliedDiscount(allocations[0].discountApplication),
+      originalTotalSet: { presentmentMoney: { amount: originalTotal.toFixed(2) } },
+      discountedTotalSet: { presentmentMoney: { amount: (originalTotal - discountTotal).toFixed(2) } }
+    }
+  }
+
+  /**
+   * Map an order discount application into the draft order applied discount shape
+   * @param {Object} application - Discount application (value, title or code)
+   * @returns {Object} Applied discount (title, description, value, valueType)
+   */
+  formatAppliedDiscount(application) {
+    const percentage = application.value?.percentage
+
+    return {
+      title: application.title || application.code || null,
+      description: application.description || null,
+      value: percentage ?? parseFloat(application.value?.amount || 0),
+      valueType: percentage != null ? 'PERCENTAGE' : 'FIXED_AMOUNT'
+    }
+  }
+
+  /**
+   * Flatten order tax lines (priceSet) into the draft order tax line shape (price)
+   * @param {Array} taxLines - Order tax lines
+   * @returns {Array} Tax lines with title, rate and price
+   */
+  formatTaxLines(taxLines) {
+    return (taxLines || []).map(taxLine => ({
+      title: taxLine.title,
+      rate: taxLine.rate,
+      price: this.presentmentAmount(taxLine.priceSet)
+    }))
+  }
+
+  /**
+   * Get an amount in the order's presentment currency, falling back to the shop currency
+   * @param {Object} moneyBag - Shopify MoneyBag (shopMoney, presentmentMoney)
+   * @returns {string} Amount
+   */
+  presentmentAmount(moneyBag) {
+    return moneyBag?.presentmentMoney?.amount ?? moneyBag?.shopMoney?.amount
+  }
+}
+
+module.exports = OrderService
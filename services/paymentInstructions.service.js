@@ -0,0 +1,160 @@
+'use strict'
+
+const QRCode = require('qrcode')
+
+/**
+ * EPC069-12 limits: SEPA credit transfers are in euro, up to 999 999 999.99
+ */
+const EPC_CURRENCY = 'EUR'
+const EPC_MAX_AMOUNT = 999999999.99
+
+/**
+ * Payment Instructions Service
+ * Picks the bank account printed on invoices and quotes (matching the document currency,
+ * else the first configured account) and builds the EPC069-12 "SEPA credit transfer" QR code
+ * banking apps scan to prefill the payment. The QR code is generated locally.
+ */
+class PaymentInstructionsService {
+  constructor(fastify) {
+    this.fastify = fastify
+  }
+
+  /**
+   * Get the configured bank accounts, skipping accounts with an invalid IBAN
+   * @returns {Array} Accounts (currency, bankName, beneficiary, iban, bic)
+   */
+  getAccounts() {
+    const accounts = this.fastify.config?.banking?.accounts || []
+
+    return accounts
+      .map(account => ({
+        currency: String(account.currency || '').toUpperCase(),
+        bankName: account.bankName || '',
+        beneficiary: account.beneficiary || this.fastify.config?.merchant?.companyName || '',
+        iban: this.normalizeIban(account.iban),
+        bic: String(account.bic || '').replace(/\s/g, '').toUpperCase()
+      }))
+      .filter(account => {
+        if (this.isValidIban(account.iban)) return true
+
+        this.fastify.log.warn({ bankName: account.bankName, currency: account.currency }, 'Bank account has an invalid IBAN, skipping')
+        return false
+      })
+  }
+
+  /**
+   * Select the bank account for a document currency
+   * @param {string} currencyCode - Document currency code
+   * @returns {Object|null} Account in that currency, else the first account, or null without accounts
+   */
+  selectAccount(currencyCode) {
+    const accounts = this.getAccounts()
+    const currency = String(currencyCode || '').toUpperCase()
+
+    return accounts.find(account => account.currency === currency) || accounts[0] || null
+  }
+
+  /**
+   * Normalize an IBAN (uppercase, no spaces)
+   * @param {string} iban - IBAN as entered
+   * @returns {string} Normalized IBAN
+   */
+  normalizeIban(iban) {
+    return String(iban || '').replace(/\s/g, '').toUpperCase()
+  }
+
+  /**
+   * Check an IBAN's format and ISO 13616 (mod 97) check digits
+   * @param {string} iban - Normalized IBAN
+   * @returns {boolean}
+   */
+  isValidIban(iban) {
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false
+
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55)
+    let remainder = 0
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97
+    }
+
+    return remainder === 1
+  }
+
+  /**
+   * Format an IBAN for print in groups of four
+   * @param {string} iban - Normalized IBAN
+   * @returns {string} e.g. "EE46 2200 2210 5524 2663"
+   */
+  formatIban(iban) {
+    return iban.replace(/(.{4})(?=.)/g, '$1 ')
+  }
+
+  /**
+   * Build the EPC069-12 QR code payload for a SEPA credit transfer
+   * @param {Object} params - Payment details
+   * @param {Object} params.account - Beneficiary bank account
+   * @param {number} params.amount - Amount to pay
+   * @param {string} params.currencyCode - Document currency code
+   * @param {string} params.reference - Remittance information (invoice number)
+   * @returns {string|null} Payload, or null when the payment can't be a SEPA credit transfer
+   */
+  buildEpcPayload({ account, amount, currencyCode, reference }) {
+    if (currencyCode !== EPC_CURRENCY || account.currency !== EPC_CURRENCY) return null
+    if (!account.beneficiary || !(amount >= 0.01 && amount <= EPC_MAX_AMOUNT)) return null
+
+    return [
+      'BCD', // Service tag
+      '002', // Version (BIC optional within the EEA)
+      '1', // Character set: UTF-8
+      'SCT', // SEPA credit transfer
+      account.bic,
+      account.beneficiary.slice(0, 70),
+      account.iban,
+      `${EPC_CURRENCY}${amount.toFixed(2)}`,
+      '', // Purpose
+      '', // Structured creditor reference (not used, the invoice number is free text)
+      String(reference || '').slice(0, 140)
+    ].join('\n')
+  }
+
+  /**
+   * Prepare the payment instructions printed on a document
+   * @param {Object} params - Document details
+   * @param {string} params.currencyCode - Document currency code
+   * @param {number} params.amount - Amount to pay
+   * @param {string} params.reference - Payment reference (invoice number)
+   * @returns {Promise<Object|null>} { bankName, beneficiary, iban, bic, currency, reference, qrCode }, or null without accounts
+   */
+  async prepare({ currencyCode, amount, reference }) {
+    const account = this.selectAccount(currencyCode)
+    if (!account) return null
+
+    const instructions = {
+      bankName: account.bankName,
+      beneficiary: account.beneficiary,
+      iban: this.formatIban(account.iban),
+      bic: account.bic,
+      currency: account.currency,
+      reference,
+      qrCode: null
+    }
+
+    const payload = this.fastify.config?.banking?.epcQrCode === false
+      ? null
+      : this.buildEpcPayload({ account, amount, currencyCode, reference })
+
+    if (payload) {
+      try {
+        // EPC069-12 requires error correction level M
+        instructions.qrCode = await QRCode.toDataURL(payload, { errorCorrectionLevel: 'M', margin: 1, width: 240 })
+      } catch (error) {
+        // The bank details are still printed without the QR code
+        this.fastify.log.warn({ error, reference }, 'Failed to generate payment QR code')
+      }
+    }
+
+    return instructions
+  }
+}
+
+module.exports = PaymentInstructionsService
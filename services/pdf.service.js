@@ -1,9 +1,24 @@
 'use strict'
 
-const ejs = require('ejs')
 const puppeteer = require('puppeteer')
-const path = require('path')
 const getSymbolFromCurrency = require('currency-symbol-map')
+const { createTranslator } = require('./i18n.service')
+const DocumentFormatter = require('./documentFormatter')
+
+// Quotes with hundreds of line items take longer than Puppeteer's 30s default to lay out
+const PDF_RENDER_TIMEOUT_MS = 120000
+
+// Labels built outside a localized document (and by callers that don't pass a translator)
+const translateEnglish = createTranslator('en')
+
+/**
+ * Escape text for the Puppeteer header and footer templates (plain HTML, not rendered by EJS)
+ * @param {string} text - Text
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
 
 /**
  * PDF Service
@@ -37,7 +52,7 @@ class PdfService {
 
   /**
    * Generate PDF from quote data (legacy method for quotes)
-   * @param {Object} quoteData - Quote data including line items, customer, etc.
+   * @param {Object} quoteData - Quote data including line items, customer, etc. (template: optional template name)
    * @returns {Promise<Buffer>} PDF buffer
    */
   async generateQuotePdf(quoteData) {
@@ -47,12 +62,14 @@ class PdfService {
       // Prepare template data
       const templateData = this.prepareQuoteTemplateData(quoteData)
 
-      // Render HTML from EJS template
-      const templatePath = path.join(__dirname, '../views/quote-template.ejs')
-      const html = await ejs.renderFile(templatePath, templateData)
+      // Render HTML from the requested or default quote template
+      const html = await this.fastify.services.templateRegistry.render('quote', quoteData.template, templateData)
 
-      // Generate PDF with Puppeteer
-      const pdf = await this.renderHtmlToPdf(html)
+      // Generate PDF with Puppeteer, numbering the pages of long quotes
+      const pdf = await this.renderHtmlToPdf(
+        html,
+        this.buildPageTemplates(templateData.t('quote.title', { number: templateData.quoteNumber }), templateData.t)
+      )
 
       this.fastify.log.info('Quote PDF generated successfully')
       return pdf
@@ -64,6 +81,7 @@ class PdfService {
 
   /**
    * Generate VAT invoice PDF from draft order data
+   * The template is the payload's, else the one stored on the draft order, else the shop default.
    * @param {Object} invoiceData - Invoice data including draft order, line items, etc.
    * @returns {Promise<Buffer>} PDF buffer
    */
@@ -71,15 +89,27 @@ class PdfService {
     this.fastify.log.info('Generating invoice PDF')
 
     try {
+      // Verify the buyer's VAT ID before printing it
+      const vatValidation = await this.validateBuyerVatId(invoiceData.draftOrder?.company?.vatId)
+
+      // Bank details and SEPA QR code for the amount due
+      const paymentInstructions = await this.preparePaymentInstructions(invoiceData.draftOrder)
+
       // Prepare template data for invoice
-      const templateData = this.prepareInvoiceTemplateData(invoiceData)
+      const templateData = this.prepareInvoiceTemplateData({ ...invoiceData, vatValidation, paymentInstructions })
 
-      // Render HTML from EJS template
-      const templatePath = path.join(__dirname, '../views/invoice-template.ejs')
-      const html = await ejs.renderFile(templatePath, templateData)
+      // Render HTML from the selected invoice template
+      const html = await this.fastify.services.templateRegistry.render(
+        'invoice',
+        this.selectInvoiceTemplate(invoiceData),
+        templateData
+      )
 
-      // Generate PDF with Puppeteer
-      const pdf = await this.renderHtmlToPdf(html)
+      // Generate PDF with Puppeteer, with the invoice number and page count on every page
+      const pdf = await this.renderHtmlToPdf(
+        html,
+        this.buildPageTemplates(templateData.t('invoice.title', { number: templateData.invoiceNumber }), templateData.t)
+      )
 
       this.fastify.log.info('Invoice PDF generated successfully')
       return pdf
@@ -89,29 +119,78 @@ class PdfService {
     }
   }
 
+  /**
+   * Select the invoice template name for a document
+   * A template stored on an older quote may have been removed since; the shop default is used then.
+   * @param {Object} invoiceData - Invoice data (draftOrder, payload)
+   * @returns {string|null} Template name, or null for the shop default
+   */
+  selectInvoiceTemplate(invoiceData) {
+    if (invoiceData.payload?.template) {
+      return invoiceData.payload.template
+    }
+
+    const storedTemplate = invoiceData.draftOrder?.template
+    if (storedTemplate && !this.fastify.services.templateRegistry.has('invoice', storedTemplate)) {
+      this.fastify.log.warn({ template: storedTemplate }, 'Stored invoice template no longer exists, using the default')
+      return null
+    }
+
+    return storedTemplate || null
+  }
+
+  /**
+   * Build the header and footer Puppeteer prints in the margins of every page
+   * Header: document title (with its number); footer: "Page X of Y". Puppeteer fills the
+   * pageNumber and totalPages elements; page styles don't apply, so the templates style themselves.
+   * @param {string} title - Document title (e.g., "Quote INV-EE-113")
+   * @param {Function} t - Translation function
+   * @returns {Object} { headerTemplate, footerTemplate }
+   */
+  buildPageTemplates(title, t = translateEnglish) {
+    const style = 'width: 100%; padding: 0 15mm; font-family: Helvetica, Arial, sans-serif; font-size: 8px; color: #999;'
+
+    // Placeholders are left in the message and replaced after escaping
+    const pageNumbering = escapeHtml(t('page.numbering'))
+      .replace('{current}', '<span class="pageNumber"></span>')
+      .replace('{total}', '<span class="totalPages"></span>')
+
+    return {
+      headerTemplate: `<div style="${style} text-align: right;">${escapeHtml(title)}</div>`,
+      footerTemplate: `<div style="${style} text-align: right;">${pageNumbering}</div>`
+    }
+  }
+
   /**
    * Render HTML content to PDF
    * @param {string} html - HTML content
+   * @param {Object} pageTemplates - Header and footer printed on every page (optional, from buildPageTemplates)
    * @returns {Promise<Buffer>} PDF buffer
    */
-  async renderHtmlToPdf(html) {
+  async renderHtmlToPdf(html, pageTemplates = null) {
     const browser = await this.getBrowser()
     const page = await browser.newPage()
 
     // Set content and wait for any resources to load
     try {
       await page.setContent(html, {
-        waitUntil: 'networkidle0'
+        waitUntil: 'networkidle0',
+        timeout: PDF_RENDER_TIMEOUT_MS
       })
 
+      // Leave room for the header and footer in the top and bottom margins
+      const verticalMargin = pageTemplates ? '22mm' : '15mm'
+
       // Generate PDF
       const pdf = await page.pdf({
         format: 'A4',
         printBackground: true,
+        timeout: PDF_RENDER_TIMEOUT_MS,
+        ...(pageTemplates && { displayHeaderFooter: true, ...pageTemplates }),
         margin: {
-          top: '15mm',
+          top: verticalMargin,
           right: '15mm',
-          bottom: '15mm',
+          bottom: verticalMargin,
           left: '15mm'
         }
       })
@@ -128,30 +207,33 @@ class PdfService {
    * @returns {Object} Formatted template data
    */
   prepareInvoiceTemplateData(invoiceData) {
-    const { draftOrder, payload } = invoiceData
+    const { draftOrder, payload, vatValidation = null, paymentInstructions = null } = invoiceData
     const config = this.fastify.config
     const merchant = config?.merchant || {}
-    const invoiceConfig = config?.invoice || {}
 
-    // Generate invoice number from draft order name
-    const invoiceNumber = this.generateInvoiceNumber(draftOrder?.name, invoiceConfig.prefix)
-    
-    // Parse dates
-    const issueDate = draftOrder?.createdAt ? new Date(draftOrder.createdAt) : new Date()
-    const formattedDate = this.formatDate(issueDate)
+    // Document language: payload locale, then the locale stored on the quote, then the customer's
+    const { language, locale, t } = this.getLocalization(
+      payload?.locale,
+      draftOrder?.locale,
+      draftOrder?.customer?.locale
+    )
 
+    const invoiceNumber = this.getInvoiceNumber(draftOrder)
+    
     // Get currency info from draft order (always present from Shopify)
     const currencyCode = draftOrder?.currencyCode || 'EUR'
     const currencySymbol = this.getCurrencySymbol(currencyCode)
+    const format = this.createFormatter(locale, currencyCode)
+
+    // Parse dates
+    const issueDate = draftOrder?.createdAt ? new Date(draftOrder.createdAt) : new Date()
+    const formattedDate = format.date(issueDate)
 
     // Parse amounts
     const subtotal = this.parseAmount(draftOrder?.subtotalPrice)
     const totalTax = this.parseAmount(draftOrder?.totalTax)
     const total = this.parseAmount(draftOrder?.totalPrice)
 
-    // Get discount info
-    const discountInfo = this.processDiscountInfo(draftOrder, currencySymbol)
-
     // Get shipping info
     const shippingLine = draftOrder?.shippingLine
     const shippingPrice = this.parseAmount(shippingLine?.price)
@@ -159,29 +241,68 @@ class PdfService {
     const shippingTaxRate = this.getShippingTaxRate(shippingLine)
 
     // Process line items with tax info
-    const lineItems = this.processInvoiceLineItems(draftOrder?.lineItems, currencySymbol)
+    const lineItems = this.processInvoiceLineItems(draftOrder?.lineItems, format, t)
+
+    // Get order-level discount info (line discounts are already in the line amounts and subtotal)
+    const lineDiscountTotal = lineItems.reduce((sum, item) => sum + (item.discount?.amountRaw || 0), 0)
+    const discountInfo = this.processDiscountInfo(draftOrder, format, lineDiscountTotal, t)
+
+    // VAT grouped by rate across line items and shipping
+    const vatSummary = this.buildVatSummary(lineItems, discountInfo?.amount || 0, {
+      price: shippingPrice,
+      vatRate: shippingTaxRate,
+      vatAmount: shippingTax
+    }, format)
+
+    // Reverse charge: a tax-exempt quote for a VAT-registered business, shipped to another EU member state
+    // (the same destination the quote was decided on, see DraftOrderService.isReverseChargeLocation)
+    const company = draftOrder?.company
+    const taxService = this.fastify.services?.tax
+    const reverseChargeClaimed = Boolean(
+      draftOrder?.taxExempt &&
+      company &&
+      taxService?.isReverseCharge({
+        countryCode: taxService.getDestinationCountryCode(draftOrder, company.countryCode),
+        vatId: company.vatId
+      })
+    )
+    const reverseCharge = reverseChargeClaimed && vatValidation?.valid !== false
 
-    // Get primary VAT rate from line items or tax lines
-    const primaryVatRate = this.getPrimaryVatRate(lineItems, draftOrder?.taxLines)
+    // VIES rejected the VAT ID after the quote went out VAT-free: say so instead of printing 0% VAT without a basis
+    const reverseChargeRejected = reverseChargeClaimed && vatValidation?.valid === false
+    if (reverseChargeRejected) {
+      this.fastify.log.warn({ name: draftOrder.name, vatId: company.vatId }, 'Tax-exempt invoice has no valid reverse-charge basis')
+    }
 
     // Build bill to and ship to addresses
     const billToAddress = this.formatInvoiceAddress(
       draftOrder?.billingAddress || draftOrder?.shippingAddress,
       draftOrder?.customer,
-      draftOrder?.company
+      draftOrder?.company,
+      vatValidation
     )
     const shipToAddress = this.formatInvoiceAddress(
       draftOrder?.shippingAddress,
       draftOrder?.customer,
-      draftOrder?.company
+      draftOrder?.company,
+      vatValidation
     )
 
     return {
+      // Document language and label translation
+      language,
+      t,
+
       // Invoice header
       invoiceNumber,
-      invoiceTotal: this.formatPrice(total, currencySymbol),
+      invoiceTotal: format.money(total),
       dateOfIssue: formattedDate,
       dateOfSupply: formattedDate, // Same as date of issue per requirement
+      validUntil: draftOrder?.expiresAt ? format.date(draftOrder.expiresAt) : null,
+      paymentTerms: draftOrder?.paymentTerms ? {
+        name: this.describePaymentTerms(draftOrder.paymentTerms, t),
+        dueDate: draftOrder.paymentTerms.dueAt ? format.date(draftOrder.paymentTerms.dueAt) : null
+      } : null,
 
       // Merchant info (all fields from store data or environment variables)
       merchant: {
@@ -206,100 +327,149 @@ class PdfService {
       // Discount info
       discount: discountInfo,
 
+      // VAT is accounted for by the buyer
+      reverseCharge,
+
+      // No VAT charged although the buyer's VAT ID was reported invalid (printed as a warning)
+      reverseChargeRejected,
+
+      // Taxable amount and VAT per rate
+      vatSummary,
+
+      // Bank details and payment QR code (null without configured bank accounts)
+      payment: paymentInstructions,
+
+      // Totals in the shop currency when the quote is priced in another currency (optional)
+      shopCurrency: this.formatShopCurrencyEquivalents(draftOrder?.shopCurrency, format),
+
       // Pricing breakdown
       pricing: {
-        subtotal: this.formatPrice(subtotal, currencySymbol),
+        subtotal: format.money(subtotal),
         subtotalRaw: subtotal,
-        vatRate: primaryVatRate,
-        vatRateFormatted: `${Math.round(primaryVatRate * 100)}%`,
-        vatAmount: this.formatPrice(totalTax - shippingTax, currencySymbol),
-        shipping: this.formatPrice(shippingPrice, currencySymbol),
+        vatAmount: format.money(totalTax),
+        vatAmountRaw: totalTax,
+        shipping: format.money(shippingPrice),
         shippingRaw: shippingPrice,
-        shippingVatRate: shippingTaxRate,
-        shippingVatRateFormatted: `${Math.round(shippingTaxRate * 100)}%`,
-        shippingVat: this.formatPrice(shippingTax, currencySymbol),
-        total: this.formatPrice(total, currencySymbol),
+        total: format.money(total),
         totalRaw: total,
         currencyCode,
         currencySymbol
-      },
-
-      // Metadata
-      pageInfo: {
-        current: 1,
-        total: 1
       }
     }
   }
 
   /**
-   * Process discount information from draft order
+   * Process order-level discount information from draft order
    * @param {Object} draftOrder - Draft order object
-   * @param {string} currencySymbol - Currency symbol
+   * @param {DocumentFormatter} format - Document formatter
+   * @param {number} lineDiscountTotal - Sum of per-line discounts, excluded from the order-level amount
+   * @param {Function} t - Translation function
    * @returns {Object|null} Discount information or null if no discount
    */
-  processDiscountInfo(draftOrder, currencySymbol) {
-    // Check if there's a discount applied
-    const hasDiscount = draftOrder?.totalDiscountsSet?.shopMoney?.amount && 
-                        parseFloat(draftOrder.totalDiscountsSet.shopMoney.amount) > 0
+  processDiscountInfo(draftOrder, format, lineDiscountTotal = 0, t = translateEnglish) {
+    // totalDiscountsSet covers line and order discounts; only the order-level part is shown here
+    const discountAmount = this.parseAmount(this.moneyAmount(draftOrder?.totalDiscountsSet)) - lineDiscountTotal
 
-    if (!hasDiscount) {
+    // Ignore rounding leftovers
+    if (discountAmount < 0.005) {
       return null
     }
 
-    const discountAmount = this.parseAmount(draftOrder.totalDiscountsSet.shopMoney.amount)
-    
-    // Build discount description
-    let description = 'Discount'
-    
-    // Use appliedDiscount info if available
+    // Build discount description from the manual discount and any discount codes
+    const parts = []
+
     if (draftOrder.appliedDiscount) {
-      if (draftOrder.appliedDiscount.title) {
-        description = draftOrder.appliedDiscount.title
-      } else if (draftOrder.appliedDiscount.description) {
-        description = draftOrder.appliedDiscount.description
-      }
-      
-      // Add discount value type info
-      if (draftOrder.appliedDiscount.valueType === 'PERCENTAGE') {
-        description += ` (${draftOrder.appliedDiscount.value}%)`
-      }
+      parts.push(this.describeAppliedDiscount(draftOrder.appliedDiscount, t))
     }
-    
-    // Or use discount codes if available
-    if (!draftOrder.appliedDiscount && draftOrder.discountCodes?.length > 0) {
-      description = `Discount Code: ${draftOrder.discountCodes.join(', ')}`
+
+    if (draftOrder.discountCodes?.length > 0) {
+      parts.push(t('discount.codes', { codes: draftOrder.discountCodes.join(', ') }))
     }
 
     return {
       amount: discountAmount,
-      amountFormatted: this.formatPrice(discountAmount, currencySymbol),
-      description,
+      amountFormatted: format.money(discountAmount),
+      description: parts.join(', ') || t('discount.default'),
       codes: draftOrder.discountCodes || []
     }
   }
 
+  /**
+   * Describe a manual discount, e.g. "Loyalty (10%)"
+   * @param {Object} appliedDiscount - Applied discount (title, description, value, valueType)
+   * @param {Function} t - Translation function
+   * @returns {string} Discount description
+   */
+  describeAppliedDiscount(appliedDiscount, t = translateEnglish) {
+    let description = appliedDiscount.title || appliedDiscount.description || t('discount.default')
+
+    // Add discount value type info
+    if (appliedDiscount.valueType === 'PERCENTAGE') {
+      description += ` (${appliedDiscount.value}%)`
+    }
+
+    return description
+  }
+
+  /**
+   * Process a line item's manual discount
+   * @param {Object} node - Line item node from draft order
+   * @param {number} lineTotal - Undiscounted line total
+   * @param {DocumentFormatter} format - Document formatter
+   * @param {Function} t - Translation function
+   * @returns {Object|null} Line discount info or null if none
+   */
+  processLineDiscount(node, lineTotal, format, t = translateEnglish) {
+    const appliedDiscount = node.appliedDiscount
+    if (!appliedDiscount) return null
+
+    // Prefer Shopify's computed line totals, fall back to deriving the amount from the value
+    let amount
+    if (node.originalTotalSet && node.discountedTotalSet) {
+      amount = this.parseAmount(this.moneyAmount(node.originalTotalSet)) -
+               this.parseAmount(this.moneyAmount(node.discountedTotalSet))
+    } else if (appliedDiscount.valueType === 'PERCENTAGE') {
+      amount = lineTotal * this.parseAmount(appliedDiscount.value) / 100
+    } else {
+      amount = this.parseAmount(this.moneyAmount(appliedDiscount.amountSet) || appliedDiscount.value)
+    }
+
+    amount = Math.min(amount, lineTotal)
+
+    if (amount < 0.005) return null
+
+    return {
+      description: this.describeAppliedDiscount(appliedDiscount, t),
+      amountRaw: amount,
+      amountFormatted: format.money(amount)
+    }
+  }
+
   /**
    * Process line items for invoice display
    * @param {Object} lineItems - Line items from draft order
-   * @param {string} currencySymbol - Currency symbol
+   * @param {DocumentFormatter} format - Document formatter
+   * @param {Function} t - Translation function
    * @returns {Array} Processed line items
    */
-  processInvoiceLineItems(lineItems, currencySymbol) {
+  processInvoiceLineItems(lineItems, format, t = translateEnglish) {
     if (!lineItems?.edges) return []
 
     return lineItems.edges.map(({ node }) => {
       const quantity = node.quantity || 1
       const unitPrice = this.parseAmount(node.originalUnitPrice)
       const lineTotal = unitPrice * quantity
-      
-      // Get VAT rate from tax lines
+      const discount = this.processLineDiscount(node, lineTotal, format, t)
+      const discountedTotal = lineTotal - (discount?.amountRaw || 0)
+
+      // Get VAT rate and amount from tax lines
       const vatRate = this.getLineItemVatRate(node.taxLines)
+      const vatAmount = (node.taxLines || []).reduce((sum, tax) => sum + this.parseAmount(tax.price), 0)
       
       // Build description: Product title + variant + SKU
       const variantTitle = node.variant?.title
-      const sku = node.variant?.sku
-      let description = node.title || 'Product'
+      const sku = node.variant?.sku || node.sku
+      let description = node.title || t('lineItem.defaultTitle')
       
       // Add variant title if different from "Default Title"
       if (variantTitle && variantTitle !== 'Default Title' && variantTitle !== node.title) {
@@ -317,12 +487,16 @@ class PdfService {
         variantTitle: variantTitle || '',
         sku: sku || '',
         quantity,
-        unitPrice: this.formatPrice(unitPrice, currencySymbol),
+        unitPrice: format.money(unitPrice),
         unitPriceRaw: unitPrice,
         vatRate,
-        vatRateFormatted: `${Math.round(vatRate * 100)}%`,
-        amount: this.formatPrice(lineTotal, currencySymbol),
-        amountRaw: lineTotal
+        vatRateFormatted: format.percent(vatRate),
+        vatAmountRaw: vatAmount,
+        discount,
+        originalAmount: format.money(lineTotal),
+        originalAmountRaw: lineTotal,
+        amount: format.money(discountedTotal),
+        amountRaw: discountedTotal
       }
     })
   }
@@ -339,24 +513,53 @@ class PdfService {
   }
 
   /**
-   * Get primary VAT rate from line items or order tax lines
+   * Build the VAT summary: taxable amount and VAT grouped by rate
+   * Line amounts already include line discounts; the order-level discount is spread over
+   * the lines in proportion to their amounts, as Shopify allocates it before tax.
    * @param {Array} lineItems - Processed line items
-   * @param {Array} orderTaxLines - Order-level tax lines
-   * @returns {number} Primary VAT rate as decimal
-   */
-  getPrimaryVatRate(lineItems, orderTaxLines) {
-    // First try to get from line items
-    if (lineItems && lineItems.length > 0) {
-      const firstWithRate = lineItems.find(item => item.vatRate > 0)
-      if (firstWithRate) return firstWithRate.vatRate
-    }
-    
-    // Fallback to order tax lines
-    if (orderTaxLines && orderTaxLines.length > 0) {
-      return orderTaxLines[0].rate || 0
+   * @param {number} orderDiscount - Order-level discount amount
+   * @param {Object} shipping - Shipping price, vatRate and vatAmount
+   * @param {DocumentFormatter} format - Document formatter
+   * @returns {Array} Rates, highest first (rate, rateFormatted, taxableAmount, vatAmount and raw values)
+   */
+  buildVatSummary(lineItems, orderDiscount, shipping, format) {
+    const goodsTotal = lineItems.reduce((sum, item) => sum + item.amountRaw, 0)
+    const discountShare = goodsTotal > 0 ? Math.min(orderDiscount, goodsTotal) / goodsTotal : 0
+
+    const entries = [
+      ...lineItems.map(item => ({
+        rate: item.vatRate,
+        taxable: item.amountRaw * (1 - discountShare),
+        vat: item.vatAmountRaw || 0
+      })),
+      { rate: shipping.vatRate, taxable: shipping.price, vat: shipping.vatAmount }
+    ]
+
+    const byRate = new Map()
+    for (const { rate, taxable, vat } of entries) {
+      if (taxable === 0 && vat === 0) continue
+
+      const group = byRate.get(rate) || { rate, taxable: 0, vat: 0 }
+      group.taxable += taxable
+      group.vat += vat
+      byRate.set(rate, group)
     }
-    
-    return 0
+
+    return [...byRate.values()]
+      .sort((a, b) => b.rate - a.rate)
+      .map(({ rate, taxable, vat }) => {
+        const taxableAmount = Math.round(taxable * 100) / 100
+        const vatAmount = Math.round(vat * 100) / 100
+
+        return {
+          rate,
+          rateFormatted: format.percent(rate),
+          taxableAmount: format.money(taxableAmount),
+          taxableAmountRaw: taxableAmount,
+          vatAmount: format.money(vatAmount),
+          vatAmountRaw: vatAmount
+        }
+      })
   }
 
   /**
@@ -379,18 +582,55 @@ class PdfService {
     return shippingLine.taxLines[0].rate || 0
   }
 
+  /**
+   * Validate the buyer's VAT ID for printing
+   * @param {string} vatId - Buyer VAT ID (company location tax registration)
+   * @returns {Promise<Object|null>} Validation result, or null without a VAT ID or validation service
+   */
+  async validateBuyerVatId(vatId) {
+    if (!vatId || !this.fastify.services?.vatValidation) {
+      return null
+    }
+
+    return await this.fastify.services.vatValidation.validate(vatId)
+  }
+
+  /**
+   * Prepare the payment instructions for a document (reference: the invoice number)
+   * @param {Object} draftOrder - Draft order (currencyCode, totalPrice, name)
+   * @returns {Promise<Object|null>} Payment instructions, or null without bank accounts or payment service
+   */
+  async preparePaymentInstructions(draftOrder) {
+    if (!this.fastify.services?.paymentInstructions) {
+      return null
+    }
+
+    return await this.fastify.services.paymentInstructions.prepare({
+      currencyCode: draftOrder?.currencyCode || 'EUR',
+      amount: this.parseAmount(draftOrder?.totalPrice),
+      reference: this.getInvoiceNumber(draftOrder)
+    })
+  }
+
   /**
    * Format address for invoice display
    * @param {Object} address - Address object
    * @param {Object} customer - Customer object
    * @param {Object} company - B2B Company object (optional, includes name and vatId)
+   * @param {Object} vatValidation - Validation result for the company VAT ID (optional)
    * @returns {Object} Formatted address
    */
-  formatInvoiceAddress(address, customer, company = null) {
+  formatInvoiceAddress(address, customer, company = null, vatValidation = null) {
+    // The VAT ID is printed as stored; one that isn't confirmed valid is marked
+    // (a failed validation only drops the reverse charge, see prepareInvoiceTemplateData)
+    const vatId = company?.vatId || ''
+    const vatIdVerified = vatValidation?.valid === true
+
     if (!address) {
       return {
         companyName: company?.name || '',
-        vatId: company?.vatId || '',
+        vatId,
+        vatIdVerified,
         name: customer?.firstName && customer?.lastName 
           ? `${customer.firstName} ${customer.lastName}`.trim()
           : 'Customer',
@@ -410,7 +650,8 @@ class PdfService {
 
     return {
       companyName: company?.name || address.company || '',
-      vatId: company?.vatId || '',
+      vatId,
+      vatIdVerified,
       name,
       line1: address.address1 || '',
       line2: address.address2 || '',
@@ -421,6 +662,25 @@ class PdfService {
     }
   }
 
+  /**
+   * Get the invoice number of a quote or order
+   * Shopify numbers draft orders (#D1001) and orders (#1001) separately, so order
+   * invoices get their own prefix (by default an "O" after the invoice prefix) to keep
+   * them apart from quote numbers.
+   * @param {Object} document - Draft order or order data (name, documentType)
+   * @returns {string} Invoice number (e.g., "INV-EE-1001" or "INV-EE-O1001")
+   */
+  getInvoiceNumber(document) {
+    const invoiceConfig = this.fastify.config?.invoice
+    const prefix = invoiceConfig?.prefix || 'INV-EE-'
+
+    if (document?.documentType === 'order') {
+      return this.generateInvoiceNumber(document.name, invoiceConfig?.orderPrefix || `${prefix}O`)
+    }
+
+    return this.generateInvoiceNumber(document?.name, prefix)
+  }
+
   /**
    * Generate invoice number from draft order name
    * @param {string} draftOrderName - Draft order name (e.g., "#D123")
@@ -442,15 +702,52 @@ class PdfService {
   }
 
   /**
-   * Format date for display
-   * @param {Date} date - Date object
-   * @returns {string} Formatted date string
+   * Get the document language, formatting locale and translation function
+   * Falls back through the given locales to the shop default (see I18nService.resolveLanguage).
+   * @param {...string} locales - Candidate locales, most specific first
+   * @returns {Object} { language, locale, t }
    */
-  formatDate(date) {
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+  getLocalization(...locales) {
+    const i18n = this.fastify.services?.i18n
+
+    if (!i18n) {
+      return { language: 'en', locale: 'en-US', t: translateEnglish }
+    }
+
+    const language = i18n.resolveLanguage(...locales)
+
+    return {
+      language,
+      locale: i18n.getFormatLocale(language),
+      t: i18n.translator(language)
+    }
+  }
+
+  /**
+   * Describe payment terms in the document language, e.g. "Net 30"
+   * @param {Object} paymentTerms - Formatted payment terms (name, type, dueInDays)
+   * @param {Function} t - Translation function
+   * @returns {string} Payment terms description (Shopify's name for unknown types)
+   */
+  describePaymentTerms(paymentTerms, t = translateEnglish) {
+    const key = `paymentTerms.${paymentTerms.type}`
+    const description = t(key, { days: paymentTerms.dueInDays })
+
+    return description === key ? paymentTerms.name : description
+  }
+
+  /**
+   * Create the money, percentage and date formatter for a document
+   * Dates are shown in the shop's timezone (shop data, with env var fallback).
+   * @param {string} locale - Formatting locale (BCP 47)
+   * @param {string} currencyCode - Document currency code
+   * @returns {DocumentFormatter}
+   */
+  createFormatter(locale = 'en-US', currencyCode = 'EUR') {
+    return new DocumentFormatter({
+      locale,
+      currencyCode,
+      timeZone: this.fastify.config?.i18n?.timeZone
     })
   }
 
@@ -466,14 +763,30 @@ class PdfService {
   }
 
   /**
-   * Format price with currency symbol
-   * @param {number} price - Price value
-   * @param {string} currencySymbol - Currency symbol
-   * @returns {string} Formatted price string
+   * Get an amount from a Shopify MoneyBag in the document currency (presentment, else shop)
+   * @param {Object} moneyBag - Money bag (shopMoney, presentmentMoney)
+   * @returns {string|undefined} Amount
+   */
+  moneyAmount(moneyBag) {
+    return moneyBag?.presentmentMoney?.amount ?? moneyBag?.shopMoney?.amount
+  }
+
+  /**
+   * Format shop-currency equivalents for a quote priced in another currency
+   * @param {Object} shopCurrency - Shop-currency totals (currencyCode, subtotalPrice, totalTax, totalPrice)
+   * @param {DocumentFormatter} format - Document formatter (document currency and locale)
+   * @returns {Object|null} Formatted equivalents, or null when not shown
    */
-  formatPrice(price, currencySymbol = '€') {
-    if (price === undefined || price === null) return `${currencySymbol}0.00`
-    return `${currencySymbol}${Number(price).toFixed(2)}`
+  formatShopCurrencyEquivalents(shopCurrency, format) {
+    if (!this.fastify.config?.invoice?.showShopCurrency) return null
+    if (!shopCurrency?.currencyCode || shopCurrency.currencyCode === format.currencyCode) return null
+
+    return {
+      currencyCode: shopCurrency.currencyCode,
+      subtotal: format.money(shopCurrency.subtotalPrice, shopCurrency.currencyCode),
+      vatAmount: format.money(shopCurrency.totalTax, shopCurrency.currencyCode),
+      total: format.money(shopCurrency.totalPrice, shopCurrency.currencyCode)
+    }
   }
 
   /**
@@ -497,16 +810,20 @@ class PdfService {
    */
   prepareQuoteTemplateData(quoteData) {
     const now = new Date()
+    const { language, locale, t } = this.getLocalization(quoteData.locale, quoteData.customer?.locale)
+    const currencyCode = quoteData.pricing?.currency || 'USD'
+    const format = this.createFormatter(locale, currencyCode)
 
     return {
+      // Document language and label translation
+      language,
+      t,
+
       // Quote metadata
       quoteNumber: this.generateQuoteNumber(),
-      quoteDate: now.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
+      quoteDate: format.date(now),
       generatedAt: now.toISOString(),
+      validityDays: quoteData.validityDays || this.fastify.config?.quotes?.validityDays || 30,
 
       // Shop information
       shop: {
@@ -528,21 +845,21 @@ class PdfService {
       // Line items
       lineItems: (quoteData.cartLines || []).map((item, index) => ({
         index: index + 1,
-        title: item.title || 'Product',
+        title: item.title || t('lineItem.defaultTitle'),
         variantTitle: item.variantTitle || '',
         sku: item.sku || 'N/A',
         quantity: item.quantity || 1,
-        price: this.formatPriceLegacy(item.price),
-        lineTotal: this.formatPriceLegacy((item.price || 0) * (item.quantity || 1)),
+        price: format.money(item.price),
+        lineTotal: format.money((item.price || 0) * (item.quantity || 1)),
         image: item.image || '',
         properties: item.properties || []
       })),
 
       // Pricing
       pricing: {
-        subtotal: this.formatPriceLegacy(quoteData.pricing?.subtotal),
-        total: this.formatPriceLegacy(quoteData.pricing?.total || quoteData.pricing?.subtotal),
-        currency: quoteData.pricing?.currency || 'USD',
+        subtotal: format.money(quoteData.pricing?.subtotal),
+        total: format.money(quoteData.pricing?.total || quoteData.pricing?.subtotal),
+        currency: currencyCode,
         discountCodes: quoteData.pricing?.discountCodes || []
       },
 
@@ -578,16 +895,6 @@ class PdfService {
     return `${firstName} ${lastName}`.trim() || 'Customer'
   }
 
-  /**
-   * Format price (legacy - without currency symbol)
-   * @param {number} price
-   * @returns {string}
-   */
-  formatPriceLegacy(price) {
-    if (price === undefined || price === null) return '0.00'
-    return Number(price).toFixed(2)
-  }
-
   /**
    * Format address for display (legacy quote)
    * @param {Object} address
@@ -0,0 +1,18 @@
+'use strict'
+
+/**
+ * Shopify search query helpers
+ * Shared by every service that puts user input into an Admin API `query` argument.
+ * @see https://shopify.dev/docs/api/usage/search-syntax
+ */
+
+/**
+ * Quote a value for a Shopify search term
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted value with quotes and backslashes escaped
+ */
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`
+}
+
+module.exports = { quoteSearchValue }
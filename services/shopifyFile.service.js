@@ -348,6 +348,67 @@ class ShopifyFileService {
     return draftOrder
   }
 
+  /**
+   * Attach invoice PDF URL to an order via metafield (custom.invoice_pdf)
+   * Also sets a timestamp metafield (custom.invoice_pdf_generated_at)
+   * @param {string} orderId - Order GID
+   * @param {string} pdfUrl - PDF URL
+   * @returns {Promise<Array>} Metafields that were set
+   */
+  async attachFileToOrder(orderId, pdfUrl) {
+    this.fastify.log.info({ orderId, pdfUrl }, 'Attaching PDF URL to order metafield custom.invoice_pdf')
+
+    // Generate current timestamp in ISO 8601 format
+    const timestamp = new Date().toISOString()
+
+    const mutation = `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            key
+            value
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+
+    const variables = {
+      metafields: [
+        {
+          ownerId: orderId,
+          namespace: 'custom',
+          key: 'invoice_pdf',
+          type: 'url',
+          value: pdfUrl
+        },
+        {
+          ownerId: orderId,
+          namespace: 'custom',
+          key: 'invoice_pdf_generated_at',
+          type: 'date_time',
+          value: timestamp
+        }
+      ]
+    }
+
+    const response = await this.adminClient.request(mutation, { variables })
+
+    if (response.data?.metafieldsSet?.userErrors?.length > 0) {
+      const errors = response.data.metafieldsSet.userErrors
+      this.fastify.log.error({ errors, orderId, pdfUrl }, 'Failed to attach PDF URL metafield to order')
+      throw new Error(`Failed to attach PDF metafield: ${errors.map(e => e.message).join(', ')}`)
+    }
+
+    this.fastify.log.info({ orderId, timestamp }, 'PDF URL metafield and timestamp attached to order successfully')
+
+    return response.data?.metafieldsSet?.metafields || []
+  }
+
   /**
    * Add PDF URL to draft order note
    * @param {string} draftOrderId - Draft order GID
@@ -0,0 +1,73 @@
+'use strict'
+
+/**
+ * EU member states (ISO 3166-1 alpha-2 country codes)
+ */
+const EU_COUNTRY_CODES = new Set([
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+])
+
+/**
+ * Tax Service
+ * EU VAT rules for B2B quotes: intra-community supplies to a VAT-registered
+ * business in another member state are reverse charged (Council Directive 2006/112/EC, Art. 196)
+ */
+class TaxService {
+  constructor(fastify) {
+    this.fastify = fastify
+  }
+
+  /**
+   * Check whether a country is an EU member state
+   * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+   * @returns {boolean}
+   */
+  isEuCountry(countryCode) {
+    return EU_COUNTRY_CODES.has(String(countryCode || '').toUpperCase())
+  }
+
+  /**
+   * Get the merchant's country code (from shop data, with env var fallback)
+   * @returns {string} ISO 3166-1 alpha-2 country code, or '' when unknown
+   */
+  getMerchantCountryCode() {
+    return (this.fastify.config?.merchant?.countryCode || '').toUpperCase()
+  }
+
+  /**
+   * Get the country a supply goes to, which decides reverse charge for quotes and invoices alike
+   * The shipping address wins, then the billing address, then the fallback (the company location's country).
+   * @param {Object} addresses - Quote or order addresses
+   * @param {Object} addresses.shippingAddress - Shipping address (countryCodeV2 or countryCode)
+   * @param {Object} addresses.billingAddress - Billing address (countryCodeV2 or countryCode)
+   * @param {string} fallbackCountryCode - Country when neither address has one (optional)
+   * @returns {string|null} ISO 3166-1 alpha-2 country code, or null when unknown
+   */
+  getDestinationCountryCode({ shippingAddress, billingAddress }, fallbackCountryCode = null) {
+    const countryOf = address => address?.countryCodeV2 || address?.countryCode || null
+
+    return countryOf(shippingAddress) || countryOf(billingAddress) || fallbackCountryCode || null
+  }
+
+  /**
+   * Check whether a B2B supply is reverse charged
+   * The buyer must be in another EU member state than the merchant and have a VAT ID.
+   * @param {Object} buyer - Buyer details
+   * @param {string} buyer.countryCode - Buyer's country code
+   * @param {string} buyer.vatId - Buyer's VAT registration ID
+   * @returns {boolean}
+   */
+  isReverseCharge({ countryCode, vatId }) {
+    const merchantCountryCode = this.getMerchantCountryCode()
+    const buyerCountryCode = String(countryCode || '').toUpperCase()
+
+    return Boolean(vatId) &&
+      this.isEuCountry(merchantCountryCode) &&
+      this.isEuCountry(buyerCountryCode) &&
+      buyerCountryCode !== merchantCountryCode
+  }
+}
+
+module.exports = TaxService
+module.exports.EU_COUNTRY_CODES = EU_COUNTRY_CODES
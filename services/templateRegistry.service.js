@@ -0,0 +1,237 @@
+'use strict'
+
+const ejs = require('ejs')
+const fs = require('node:fs/promises')
+const path = require('path')
+
+/**
+ * Template names: lowercase letters, digits, dashes and underscores
+ */
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/
+
+/**
+ * Document kinds a template can render
+ * - invoice: VAT invoice / quote document from a draft order or order (PdfService.prepareInvoiceTemplateData)
+ * - quote: legacy cart quote (PdfService.prepareQuoteTemplateData)
+ */
+const TEMPLATE_KINDS = ['invoice', 'quote']
+
+/**
+ * Templates shipped with the app, also the default for their kind
+ */
+const BUILT_IN_TEMPLATES = [
+  {
+    name: 'invoice',
+    kind: 'invoice',
+    path: path.join(__dirname, '../views/invoice-template.ejs'),
+    description: 'VAT invoice',
+    requiredFields: ['invoiceNumber', 'merchant', 'billTo', 'lineItems', 'pricing']
+  },
+  {
+    name: 'quote',
+    kind: 'quote',
+    path: path.join(__dirname, '../views/quote-template.ejs'),
+    description: 'Cart quote',
+    requiredFields: ['quoteNumber', 'lineItems', 'pricing']
+  }
+]
+
+/**
+ * Template Registry Service
+ * Named EJS templates for PDF documents, so retail, B2B and export customers can get
+ * different layouts. A template is picked per request, else by the shop's default for
+ * its kind (shop metafield or env var), else the built-in template.
+ */
+class TemplateRegistryService {
+  constructor(fastify) {
+    this.fastify = fastify
+    this.templates = new Map()
+
+    for (const template of BUILT_IN_TEMPLATES) {
+      this.register(template)
+    }
+  }
+
+  /**
+   * Register a template (replaces a template with the same name)
+   * @param {Object} template - Template definition
+   * @param {string} template.name - Template name
+   * @param {string} template.kind - Document kind (invoice, quote)
+   * @param {string} template.path - Absolute path to the EJS file
+   * @param {string} template.description - Optional description
+   * @param {string[]} template.requiredFields - Template data fields (dot paths) the template needs
+   * @returns {Object} Registered template
+   */
+  register({ name, kind, path: templatePath, description = '', requiredFields = [] }) {
+    if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid template: name "${name}" must be lowercase letters, digits, dashes or underscores`)
+    }
+
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      throw new Error(`Invalid template: ${name} has unknown kind "${kind}"`)
+    }
+
+    if (!Array.isArray(requiredFields) || requiredFields.some(field => typeof field !== 'string')) {
+      throw new Error(`Invalid template: ${name} requiredFields must be a list of field paths`)
+    }
+
+    const template = { name, kind, path: templatePath, description, requiredFields }
+    this.templates.set(name, template)
+
+    return template
+  }
+
+  /**
+   * Load templates from a local directory
+   * Each `<name>.ejs` file is a template; an optional `<name>.json` manifest next to it
+   * declares { kind, description, requiredFields }. Kind defaults to invoice.
+   * @param {string} directory - Templates directory
+   * @returns {Promise<string[]>} Names of the loaded templates
+   */
+  async loadDirectory(directory) {
+    let files
+
+    try {
+      files = await fs.readdir(directory)
+    } catch (error) {
+      this.fastify.log.warn({ error, directory }, 'Templates directory not readable, using built-in templates')
+      return []
+    }
+
+    const loaded = []
+
+    for (const file of files.filter(file => file.endsWith('.ejs')).sort()) {
+      const name = path.basename(file, '.ejs')
+
+      try {
+        const manifest = await this.readManifest(path.join(directory, `${name}.json`))
+
+        this.register({
+          kind: 'invoice',
+          ...manifest,
+          name,
+          path: path.join(directory, file)
+        })
+        loaded.push(name)
+      } catch (error) {
+        // One broken template shouldn't take the others down
+        this.fastify.log.error({ error, file }, 'Failed to load template')
+      }
+    }
+
+    this.fastify.log.info({ directory, templates: loaded }, 'Templates loaded')
+
+    return loaded
+  }
+
+  /**
+   * Read a template manifest
+   * @param {string} manifestPath - Path to the JSON manifest
+   * @returns {Promise<Object>} Manifest, or an empty object when there is none
+   */
+  async readManifest(manifestPath) {
+    let content
+
+    try {
+      content = await fs.readFile(manifestPath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return {}
+      throw error
+    }
+
+    const { kind, description, requiredFields } = JSON.parse(content)
+    return { kind, description, requiredFields }
+  }
+
+  /**
+   * List registered templates
+   * @param {string} kind - Optional document kind filter
+   * @returns {Array} Templates (name, kind, description, requiredFields, isDefault)
+   */
+  list(kind = null) {
+    return [...this.templates.values()]
+      .filter(template => !kind || template.kind === kind)
+      .map(({ name, kind, description, requiredFields }) => ({
+        name,
+        kind,
+        description,
+        requiredFields,
+        isDefault: this.getDefaultName(kind) === name
+      }))
+  }
+
+  /**
+   * Get the shop's default template name for a document kind
+   * @param {string} kind - Document kind
+   * @returns {string} Template name
+   */
+  getDefaultName(kind) {
+    const name = this.fastify.config?.templates?.[kind]
+
+    return name && this.has(kind, name) ? name : kind
+  }
+
+  /**
+   * Check whether a template exists for a document kind
+   * @param {string} kind - Document kind
+   * @param {string} name - Template name
+   * @returns {boolean}
+   */
+  has(kind, name) {
+    return this.templates.get(name)?.kind === kind
+  }
+
+  /**
+   * Resolve the template for a document
+   * @param {string} kind - Document kind (invoice, quote)
+   * @param {string} name - Requested template name (optional)
+   * @returns {Object} Template
+   * @throws {Error} When a requested template doesn't exist or renders another kind
+   */
+  resolve(kind, name = null) {
+    if (!name) {
+      return this.templates.get(this.getDefaultName(kind))
+    }
+
+    if (!this.has(kind, name)) {
+      throw new Error(`Template not found: no ${kind} template named "${name}"`)
+    }
+
+    return this.templates.get(name)
+  }
+
+  /**
+   * Find the required fields a template's data is missing
+   * @param {Object} template - Template
+   * @param {Object} data - Template data
+   * @returns {string[]} Missing field paths
+   */
+  findMissingFields(template, data) {
+    return template.requiredFields.filter(field => {
+      const value = field.split('.').reduce((current, key) => current?.[key], data)
+      return value === undefined || value === null || value === ''
+    })
+  }
+
+  /**
+   * Render a document with its template
+   * @param {string} kind - Document kind (invoice, quote)
+   * @param {string} name - Requested template name (optional)
+   * @param {Object} data - Template data
+   * @returns {Promise<string>} Rendered HTML
+   */
+  async render(kind, name, data) {
+    const template = this.resolve(kind, name)
+    const missingFields = this.findMissingFields(template, data)
+
+    if (missingFields.length > 0) {
+      throw new Error(`Template data missing: ${template.name} requires ${missingFields.join(', ')}`)
+    }
+
+    this.fastify.log.info({ template: template.name, kind }, 'Rendering template')
+
+    return ejs.renderFile(template.path, data)
+  }
+}
+
+module.exports = TemplateRegistryService
@@ -0,0 +1,166 @@
+'use strict'
+
+const { ViesClient, StubViesClient } = require('./viesClient')
+
+/**
+ * VAT number formats per VAT prefix (number part, after the prefix)
+ */
+const VAT_FORMATS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  EL: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-WY][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+  XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/
+}
+
+/**
+ * VAT prefixes that differ from the ISO country code
+ */
+const PREFIX_COUNTRY_CODES = {
+  EL: 'GR',
+  XI: 'GB'
+}
+
+/**
+ * Maximum number of cached lookups
+ */
+const CACHE_MAX_ENTRIES = 1000
+
+/**
+ * VAT Validation Service
+ * Validates buyer VAT IDs: format check per country, then a VIES lookup.
+ * Definitive answers are cached; when VIES can't answer the result is `valid: null`.
+ */
+class VatValidationService {
+  /**
+   * @param {Object} fastify - Fastify instance
+   * @param {Object} client - Optional VIES client (defaults to the configured backend)
+   */
+  constructor(fastify, client = null) {
+    this.fastify = fastify
+
+    const config = fastify.config?.vatValidation || {}
+    this.client = client || this.createClient(config)
+    this.cacheTtlMs = (config.cacheTtlSeconds || 86400) * 1000
+    this.cache = new Map()
+  }
+
+  /**
+   * Create the VIES client for the configured backend
+   * @param {Object} config - VAT validation config
+   * @returns {Object} VIES client
+   */
+  createClient(config) {
+    if (config.backend === 'vies') {
+      return new ViesClient({ baseUrl: config.viesUrl, timeoutMs: config.timeoutMs })
+    }
+
+    return new StubViesClient({ invalid: config.stubInvalid || [] })
+  }
+
+  /**
+   * Normalize a VAT ID (uppercase, no spaces, dots or dashes)
+   * @param {string} vatId - VAT ID as entered
+   * @returns {string} Normalized VAT ID
+   */
+  normalize(vatId) {
+    return String(vatId || '').toUpperCase().replace(/[\s.\-]/g, '')
+  }
+
+  /**
+   * Check a VAT ID's format for its country
+   * @param {string} vatId - VAT ID
+   * @returns {boolean}
+   */
+  isValidFormat(vatId) {
+    const normalized = this.normalize(vatId)
+    const format = VAT_FORMATS[normalized.slice(0, 2)]
+
+    return Boolean(format && format.test(normalized.slice(2)))
+  }
+
+  /**
+   * Validate a VAT ID
+   * @param {string} vatId - VAT ID with country prefix (e.g., "FI12345678")
+   * @returns {Promise<Object>} { vatId, countryCode, formatValid, valid, name, address, source, checkedAt }
+   */
+  async validate(vatId) {
+    const normalized = this.normalize(vatId)
+    const prefix = normalized.slice(0, 2)
+    const number = normalized.slice(2)
+
+    const result = {
+      vatId: normalized,
+      countryCode: PREFIX_COUNTRY_CODES[prefix] || prefix,
+      formatValid: this.isValidFormat(normalized),
+      valid: false,
+      name: null,
+      address: null,
+      source: 'format',
+      checkedAt: new Date().toISOString()
+    }
+
+    if (!result.formatValid) {
+      return result
+    }
+
+    const cached = this.cache.get(normalized)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result
+    }
+
+    try {
+      const lookup = await this.client.checkVat(prefix, number)
+
+      Object.assign(result, lookup, { source: this.client.source })
+      this.remember(normalized, result)
+    } catch (error) {
+      // No answer is not a negative answer: callers decide how to treat unverified IDs
+      this.fastify.log.warn({ error, vatId: normalized }, 'VAT number lookup unavailable')
+      result.valid = null
+      result.source = 'unavailable'
+    }
+
+    this.fastify.log.info({ vatId: normalized, valid: result.valid, source: result.source }, 'VAT number validated')
+
+    return result
+  }
+
+  /**
+   * Cache a definitive result, evicting the oldest entry when full
+   * @param {string} vatId - Normalized VAT ID
+   * @param {Object} result - Validation result
+   */
+  remember(vatId, result) {
+    if (this.cache.size >= CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+
+    this.cache.set(vatId, { result, expiresAt: Date.now() + this.cacheTtlMs })
+  }
+}
+
+module.exports = VatValidationService
@@ -0,0 +1,80 @@
+'use strict'
+
+const axios = require('axios')
+
+/**
+ * VIES REST API client
+ * Checks a VAT number against the EU VAT Information Exchange System
+ * @see https://ec.europa.eu/taxation_customs/vies/#/technical-information
+ */
+class ViesClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - VIES REST API base URL
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   */
+  constructor({ baseUrl, timeoutMs }) {
+    this.baseUrl = baseUrl
+    this.timeoutMs = timeoutMs
+    this.source = 'vies'
+  }
+
+  /**
+   * Check a VAT number
+   * @param {string} prefix - VAT prefix (country code, EL for Greece)
+   * @param {string} number - VAT number without the prefix
+   * @returns {Promise<Object>} { valid, name, address }
+   * @throws {Error} When the member state service is unavailable
+   */
+  async checkVat(prefix, number) {
+    const response = await axios.get(
+      `${this.baseUrl}/ms/${encodeURIComponent(prefix)}/vat/${encodeURIComponent(number)}`,
+      { timeout: this.timeoutMs }
+    )
+
+    const { isValid, userError, name, address } = response.data
+
+    // Anything but VALID/INVALID (MS_UNAVAILABLE, TIMEOUT, ...) means no answer
+    if (userError && userError !== 'VALID' && userError !== 'INVALID') {
+      throw new Error(`VIES unavailable: ${userError}`)
+    }
+
+    return {
+      valid: Boolean(isValid),
+      // VIES returns '---' when a member state doesn't share trader details
+      name: name && name !== '---' ? name : null,
+      address: address && address !== '---' ? address : null
+    }
+  }
+}
+
+/**
+ * Local stand-in for VIES, for tests and offline environments
+ * Every correctly formatted VAT number is valid unless listed as invalid.
+ */
+class StubViesClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string[]} options.invalid - Full VAT IDs (with prefix) to report as invalid
+   */
+  constructor({ invalid = [] } = {}) {
+    this.invalid = new Set(invalid.map(vatId => vatId.toUpperCase()))
+    this.source = 'stub'
+  }
+
+  /**
+   * Check a VAT number
+   * @param {string} prefix - VAT prefix
+   * @param {string} number - VAT number without the prefix
+   * @returns {Promise<Object>} { valid, name, address }
+   */
+  async checkVat(prefix, number) {
+    return {
+      valid: !this.invalid.has(`${prefix}${number}`),
+      name: null,
+      address: null
+    }
+  }
+}
+
+module.exports = { ViesClient, StubViesClient }
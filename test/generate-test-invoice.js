@@ -2,20 +2,32 @@
 
 /**
  * Test script to generate a sample invoice PDF
- * Run with: node test/generate-test-invoice.js
+ * Run with: node test/generate-test-invoice.js [language]
  */
 
 const ejs = require('ejs')
 const puppeteer = require('puppeteer')
 const path = require('path')
 const fs = require('fs')
+const { createTranslator } = require('../services/i18n.service')
+const PdfService = require('../services/pdf.service')
+
+// Document language (pass a language code as the first argument, e.g. "et")
+const language = process.argv[2] || 'en'
 
 // Sample data matching the reference invoice (vat_invoice_INV-EE-113.pdf)
 const sampleInvoiceData = {
+  language,
+  t: createTranslator(language),
   invoiceNumber: 'INV-EE-113',
   invoiceTotal: '€46.24',
   dateOfIssue: 'November 20, 2025',
   dateOfSupply: 'November 20, 2025',
+  validUntil: 'December 20, 2025',
+  paymentTerms: {
+    name: 'Net 30',
+    dueDate: 'December 20, 2025'
+  },
 
   merchant: {
     companyName: 'Eurosec OÜ',
@@ -55,31 +67,49 @@ const sampleInvoiceData = {
       unitPriceRaw: 17.03,
       vatRate: 0.24,
       vatRateFormatted: '24%',
+      vatAmountRaw: 8.18,
       amount: '€34.06',
       amountRaw: 34.06
     }
   ],
 
+  discount: null,
+  reverseCharge: false,
+  reverseChargeRejected: false,
+  shopCurrency: null,
+
+  vatSummary: [
+    {
+      rate: 0.24,
+      rateFormatted: '24%',
+      taxableAmount: '€37.29',
+      taxableAmountRaw: 37.29,
+      vatAmount: '€8.95',
+      vatAmountRaw: 8.95
+    }
+  ],
+
   pricing: {
     subtotal: '€34.06',
     subtotalRaw: 34.06,
-    vatRate: 0.24,
-    vatRateFormatted: '24%',
-    vatAmount: '€8.18',
+    vatAmount: '€8.95',
+    vatAmountRaw: 8.95,
     shipping: '€3.23',
     shippingRaw: 3.23,
-    shippingVatRate: 0.24,
-    shippingVatRateFormatted: '24%',
-    shippingVat: '€0.77',
     total: '€46.24',
     totalRaw: 46.24,
     currencyCode: 'EUR',
     currencySymbol: '€'
   },
 
-  pageInfo: {
-    current: 1,
-    total: 1
+  payment: {
+    bankName: 'Swedbank',
+    beneficiary: 'Eurosec OÜ',
+    iban: 'EE46 2200 2210 5524 2663',
+    bic: 'HABAEE2X',
+    currency: 'EUR',
+    reference: 'INV-EE-113',
+    qrCode: null
   }
 }
 
@@ -109,14 +139,20 @@ async function generateTestInvoice() {
       waitUntil: 'networkidle0'
     })
 
+    // Same header and footer as generated invoices (invoice number, "Page X of Y")
+    const { t, invoiceNumber } = sampleInvoiceData
+    const pageTemplates = PdfService.prototype.buildPageTemplates(t('invoice.title', { number: invoiceNumber }), t)
+
     // Generate PDF
     const pdf = await page.pdf({
       format: 'A4',
       printBackground: true,
+      displayHeaderFooter: true,
+      ...pageTemplates,
       margin: {
-        top: '15mm',
+        top: '22mm',
         right: '15mm',
-        bottom: '15mm',
+        bottom: '22mm',
         left: '15mm'
       }
     })
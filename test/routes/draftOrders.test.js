@@ -183,3 +183,467 @@ test('POST /draft-orders handles cartToken in payload', async (t) => {
   assert.ok(res.statusCode === 201 || res.statusCode === 400 || res.statusCode === 500)
 })
 
+
+test('GET /draft-orders/:id returns draft order or error response', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789',
+    method: 'GET'
+  })
+
+  // Note: This will fail in test without real Shopify credentials
+  // but validates the schema and routing works
+  assert.ok(res.statusCode === 200 || res.statusCode === 404 || res.statusCode === 500)
+
+  const payload = JSON.parse(res.payload)
+  assert.strictEqual(typeof payload.success, 'boolean')
+})
+
+test('GET /draft-orders/health is not shadowed by GET /draft-orders/:id', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/health',
+    method: 'GET'
+  })
+
+  assert.strictEqual(res.statusCode, 200)
+  assert.strictEqual(JSON.parse(res.payload).service, 'draft-orders')
+})
+
+test('GET /draft-orders validates status filter', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders?status=CANCELLED',
+    method: 'GET'
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('GET /draft-orders rejects after and before together', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders?after=abc&before=def',
+    method: 'GET'
+  })
+
+  assert.ok(res.statusCode === 400 || res.statusCode === 500)
+})
+
+test('GET /draft-orders accepts filters and pagination', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders?first=10&status=OPEN&email=test@example.com&createdFrom=2025-01-01&cartApi=true',
+    method: 'GET'
+  })
+
+  // Note: This will fail in test without real Shopify credentials
+  // but validates the schema and routing works
+  assert.ok(res.statusCode === 200 || res.statusCode === 500)
+})
+
+test('GET /draft-orders rejects creation dates that are not dates', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders?createdFrom=' + encodeURIComponent('2024-01-01 OR status:completed'),
+    method: 'GET'
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('PATCH /draft-orders/:id rejects an empty body', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789',
+    method: 'PATCH',
+    payload: {}
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('PATCH /draft-orders/:id validates line item changes', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789',
+    method: 'PATCH',
+    payload: {
+      lineItems: [
+        { variantId: 'gid://shopify/ProductVariant/456', quantity: -1 }
+      ]
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('PATCH /draft-orders/:id needs a line id, variant or custom title and price per line change', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789',
+    method: 'PATCH',
+    payload: {
+      lineItems: [
+        { title: 'Fitting service', quantity: 1 }
+      ]
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('PATCH /draft-orders/:id accepts quantity, address and note changes', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789',
+    method: 'PATCH',
+    payload: {
+      lineItems: [
+        { variantId: 'gid://shopify/ProductVariant/456', quantity: 3 },
+        { variantId: 'gid://shopify/ProductVariant/789', quantity: 0 },
+        { id: 'gid://shopify/DraftOrderLineItem/12', quantity: 0 },
+        { title: 'Fitting service', price: 90, quantity: 1 }
+      ],
+      shippingAddress: {
+        firstName: 'John',
+        lastName: 'Doe',
+        address1: '123 Main St',
+        city: 'Tallinn',
+        countryCode: 'EE',
+        zip: '10111'
+      },
+      note: 'Updated quantities'
+    }
+  })
+
+  // Note: This will fail in test without real Shopify credentials
+  // but validates the schema and routing works
+  assert.ok([200, 400, 404, 500].includes(res.statusCode))
+})
+
+test('POST /draft-orders/:id/complete validates payment status', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/complete',
+    method: 'POST',
+    payload: {
+      paymentStatus: 'refunded'
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('POST /draft-orders/:id/complete rejects payment terms on paid orders', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/complete',
+    method: 'POST',
+    payload: {
+      paymentStatus: 'paid',
+      paymentTerms: {
+        netDays: 30
+      }
+    }
+  })
+
+  assert.ok(res.statusCode === 400 || res.statusCode === 500)
+})
+
+test('POST /draft-orders/:id/complete accepts pending payment with terms', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/complete',
+    method: 'POST',
+    payload: {
+      paymentStatus: 'pending',
+      paymentTerms: {
+        netDays: 30
+      }
+    }
+  })
+
+  // Note: This will fail in test without real Shopify credentials
+  // but validates the schema and routing works
+  assert.ok([200, 400, 404, 500].includes(res.statusCode))
+})
+
+test('POST /draft-orders/:id/duplicate validates reprice flag', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/duplicate',
+    method: 'POST',
+    payload: {
+      reprice: 'sometimes'
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('POST /draft-orders/:id/duplicate accepts a re-price request', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/gid%3A%2F%2Fshopify%2FDraftOrder%2F123456789/duplicate',
+    method: 'POST',
+    payload: {
+      reprice: true
+    }
+  })
+
+  // Note: This will fail in test without real Shopify credentials
+  // but validates the schema and routing works
+  assert.ok([201, 400, 404, 500].includes(res.statusCode))
+})
+
+test('POST /draft-orders accepts custom (non-catalog) line items', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        {
+          quantity: 1,
+          variantId: 'gid://shopify/ProductVariant/12345'
+        },
+        {
+          quantity: 4,
+          title: 'Installation labour (hours)',
+          price: 45.00,
+          taxable: true,
+          sku: 'LABOUR-H'
+        }
+      ]
+    }
+  })
+
+  // Note: This will fail in test without real Shopify credentials
+  // but validates the schema and routing works
+  assert.ok(res.statusCode === 201 || res.statusCode === 400 || res.statusCode === 500)
+})
+
+test('POST /draft-orders rejects custom line items without a price', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        {
+          quantity: 1,
+          title: 'Engineered bracket'
+        }
+      ]
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('POST /draft-orders validates applied discounts', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        { quantity: 1, variantId: 'gid://shopify/ProductVariant/12345' }
+      ],
+      pricing: {
+        appliedDiscount: { title: 'Loyalty', value: 10, valueType: 'HALF_OFF' }
+      }
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('POST /draft-orders accepts a shipping rate handle or custom shipping', async (t) => {
+  const app = await build(t)
+
+  for (const shippingLine of [{ handle: 'shopify-Standard-5.00' }, { title: 'Pallet delivery', price: 85 }]) {
+    const res = await app.inject({
+      url: '/draft-orders',
+      method: 'POST',
+      payload: {
+        cartLines: [
+          { quantity: 1, variantId: 'gid://shopify/ProductVariant/12345' }
+        ],
+        shippingLine
+      }
+    })
+
+    // Note: This will fail in test without real Shopify credentials
+    // but validates the schema and routing works
+    assert.ok(res.statusCode === 201 || res.statusCode === 400 || res.statusCode === 500)
+  }
+})
+
+test('POST /draft-orders rejects custom shipping without a price', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        { quantity: 1, variantId: 'gid://shopify/ProductVariant/12345' }
+      ],
+      shippingLine: { title: 'Pallet delivery' }
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('GET /draft-orders/:id/shipping-rates returns rates or error response', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/shipping-rates',
+    method: 'GET'
+  })
+
+  assert.ok([200, 400, 404, 500].includes(res.statusCode))
+  assert.strictEqual(typeof JSON.parse(res.payload).success, 'boolean')
+})
+
+test('POST /draft-orders/calculate returns a calculation or error response', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/calculate',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        { quantity: 2, variantId: 'gid://shopify/ProductVariant/12345' }
+      ]
+    }
+  })
+
+  assert.ok([200, 400, 500].includes(res.statusCode))
+  assert.strictEqual(typeof JSON.parse(res.payload).success, 'boolean')
+})
+
+test('POST /draft-orders/calculate validates the payload', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/calculate',
+    method: 'POST',
+    payload: {
+      cartLines: [{ variantId: 'gid://shopify/ProductVariant/12345' }]
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('POST /draft-orders accepts an Idempotency-Key header', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    headers: { 'idempotency-key': 'quote-request-1' },
+    payload: {
+      cartLines: [
+        { quantity: 1, variantId: 'gid://shopify/ProductVariant/12345' }
+      ]
+    }
+  })
+
+  assert.ok([201, 400, 422, 500].includes(res.statusCode))
+  assert.strictEqual(typeof JSON.parse(res.payload).success, 'boolean')
+})
+
+test('POST /draft-orders/:id/reservation returns a draft order or error response', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/reservation',
+    method: 'POST',
+    payload: { days: 5 }
+  })
+
+  assert.ok([200, 400, 404, 500].includes(res.statusCode))
+  assert.strictEqual(typeof JSON.parse(res.payload).success, 'boolean')
+})
+
+test('POST /draft-orders/:id/reservation validates the reservation period', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/reservation',
+    method: 'POST',
+    payload: { days: 0 }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('DELETE /draft-orders/:id/reservation returns a draft order or error response', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders/123456789/reservation',
+    method: 'DELETE'
+  })
+
+  assert.ok([200, 400, 404, 500].includes(res.statusCode))
+  assert.strictEqual(typeof JSON.parse(res.payload).success, 'boolean')
+})
+
+test('POST /draft-orders validates payment terms', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        { quantity: 1, variantId: 'gid://shopify/ProductVariant/12345' }
+      ],
+      paymentTerms: { netDays: 45 }
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
+
+test('POST /draft-orders rejects a currency that is not a three-letter code', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/draft-orders',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        { variantId: 'gid://shopify/ProductVariant/456', quantity: 1 }
+      ],
+      pricing: { currency: 'EURO' }
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
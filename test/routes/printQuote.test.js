@@ -195,3 +195,55 @@ test('POST /print-quote response includes quote object', async (t) => {
   }
 })
 
+
+test('GET /print-quote/templates lists the built-in templates', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/print-quote/templates?kind=invoice',
+    method: 'GET'
+  })
+
+  assert.ok([200, 500].includes(res.statusCode))
+
+  if (res.statusCode === 200) {
+    const payload = JSON.parse(res.payload)
+    const invoice = payload.templates.find(template => template.name === 'invoice')
+    assert.ok(invoice)
+    assert.strictEqual(invoice.isDefault, true)
+    assert.ok(payload.templates.every(template => template.kind === 'invoice'))
+  }
+})
+
+test('POST /print-quote rejects malformed template names', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/print-quote',
+    method: 'POST',
+    payload: {
+      cartLines: [{ variantId: 'gid://shopify/ProductVariant/1', quantity: 1 }],
+      template: '../secrets'
+    }
+  })
+
+  // Should fail validation with error status (400 for schema, 500 for service layer)
+  assert.ok(res.statusCode >= 400)
+})
+
+test('POST /print-quote rejects a currency that is not a three-letter code', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: '/print-quote',
+    method: 'POST',
+    payload: {
+      cartLines: [
+        { variantId: 'gid://shopify/ProductVariant/456', quantity: 1 }
+      ],
+      pricing: { currency: 'EURO' }
+    }
+  })
+
+  assert.strictEqual(res.statusCode, 400)
+})
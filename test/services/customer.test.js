@@ -0,0 +1,81 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const CustomerService = require('../../services/customer.service')
+
+// Minimal fastify stand-in: a silent logger and a scripted Admin API client
+function buildService (responses) {
+  const requests = []
+  const log = { info () {}, warn () {}, error () {} }
+  const admin = {
+    async request (query, options) {
+      requests.push({ query, variables: options?.variables })
+      return responses.shift()
+    }
+  }
+
+  return { service: new CustomerService({ log, shopify: { admin } }), requests }
+}
+
+test('findOrCreateCustomer returns an existing customer with the same email', async (t) => {
+  const { service, requests } = buildService([
+    { data: { customers: { edges: [{ node: { id: 'gid://shopify/Customer/1', email: 'Buyer@Example.com' } }] } } }
+  ])
+
+  const customerId = await service.findOrCreateCustomer({ email: 'buyer@example.com' })
+
+  assert.strictEqual(customerId, 'gid://shopify/Customer/1')
+  assert.strictEqual(requests.length, 1)
+  assert.strictEqual(requests[0].variables.query, 'email:"buyer@example.com"')
+})
+
+test('findCustomerByEmail escapes quotes and backslashes in the email', async (t) => {
+  const { service, requests } = buildService([{ data: { customers: { edges: [] } } }])
+
+  assert.strictEqual(await service.findCustomerByEmail('"odd\\"@example.com'), null)
+  assert.strictEqual(requests[0].variables.query, 'email:"\\"odd\\\\\\"@example.com"')
+})
+
+test('findOrCreateCustomer creates a customer with name, phone and default address', async (t) => {
+  const { service, requests } = buildService([
+    { data: { customers: { edges: [] } } },
+    { data: { customerCreate: { customer: { id: 'gid://shopify/Customer/2', email: 'new@example.com' }, userErrors: [] } } }
+  ])
+
+  const address = { address1: 'Treiali tee 2', city: 'Rae', countryCode: 'EE' }
+  const customerId = await service.findOrCreateCustomer(
+    { email: 'new@example.com', firstName: 'Mari', lastName: 'Maasikas', phone: '+3725550000' },
+    address
+  )
+
+  assert.strictEqual(customerId, 'gid://shopify/Customer/2')
+  assert.deepStrictEqual(requests[1].variables.input, {
+    email: 'new@example.com',
+    firstName: 'Mari',
+    lastName: 'Maasikas',
+    phone: '+3725550000',
+    addresses: [address]
+  })
+})
+
+test('createCustomer retries without a rejected phone number', async (t) => {
+  const { service, requests } = buildService([
+    { data: { customerCreate: { customer: null, userErrors: [{ field: ['phone'], message: 'Phone has already been taken' }] } } },
+    { data: { customerCreate: { customer: { id: 'gid://shopify/Customer/3', email: 'a@example.com' }, userErrors: [] } } }
+  ])
+
+  const customer = await service.createCustomer({ email: 'a@example.com', phone: '+3725550000' })
+
+  assert.strictEqual(customer.id, 'gid://shopify/Customer/3')
+  assert.strictEqual(requests[1].variables.input.phone, undefined)
+})
+
+test('createCustomer surfaces other user errors', async (t) => {
+  const { service } = buildService([
+    { data: { customerCreate: { customer: null, userErrors: [{ field: ['email'], message: 'Email is invalid' }] } } }
+  ])
+
+  await assert.rejects(service.createCustomer({ email: 'bad' }), /Customer creation failed: Email is invalid/)
+})
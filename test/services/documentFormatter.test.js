@@ -0,0 +1,31 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const DocumentFormatter = require('../../services/documentFormatter')
+
+test('money follows the locale and the currency minor units', async (t) => {
+  const estonian = new DocumentFormatter({ locale: 'et-EE', currencyCode: 'EUR' })
+  assert.strictEqual(estonian.money('12.5'), '12,50 €')
+  assert.strictEqual(estonian.money(null), '0,00 €')
+
+  const english = new DocumentFormatter({ locale: 'en-US', currencyCode: 'JPY' })
+  assert.strictEqual(english.money(1500), '¥1,500')
+  assert.strictEqual(english.money(24, 'EUR'), '€24.00')
+})
+
+test('percent keeps fractional VAT rates', async (t) => {
+  assert.strictEqual(new DocumentFormatter({ locale: 'en-US' }).percent(0.24), '24%')
+  assert.strictEqual(new DocumentFormatter({ locale: 'fi-FI' }).percent(0.255), '25,5 %')
+})
+
+test('dates are shown in the shop timezone, falling back to UTC', async (t) => {
+  const lateEvening = '2026-02-28T23:30:00Z'
+
+  assert.strictEqual(new DocumentFormatter({ locale: 'en-US', timeZone: 'Europe/Tallinn' }).date(lateEvening), 'March 1, 2026')
+
+  const invalid = new DocumentFormatter({ locale: 'en-US', timeZone: 'Mars/Base' })
+  assert.strictEqual(invalid.timeZone, 'UTC')
+  assert.strictEqual(invalid.date(new Date(lateEvening)), 'February 28, 2026')
+})
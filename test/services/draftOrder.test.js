@@ -0,0 +1,718 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const DraftOrderService = require('../../services/draftOrder.service')
+
+// Minimal fastify stand-in: a silent logger and a scripted Admin API client
+function buildService (responses) {
+  const requests = []
+  const log = { info () {}, warn () {}, error () {} }
+  const admin = {
+    async request (query, options) {
+      requests.push({ query, variables: options?.variables })
+      return responses.shift()
+    }
+  }
+
+  const service = new DraftOrderService({ log, shopify: { admin }, services: {} })
+  return { service, requests }
+}
+
+function lineItemEdge (id) {
+  return { node: { id: `gid://shopify/DraftOrderLineItem/${id}`, title: `Item ${id}`, quantity: 1 } }
+}
+
+test('loadRemainingLineItems follows cursors until the last page', async (t) => {
+  const { service, requests } = buildService([
+    { data: { draftOrder: { lineItems: { edges: [lineItemEdge(2)], pageInfo: { hasNextPage: true, endCursor: 'c2' } } } } },
+    { data: { draftOrder: { lineItems: { edges: [lineItemEdge(3)], pageInfo: { hasNextPage: false, endCursor: 'c3' } } } } }
+  ])
+
+  const draftOrder = await service.loadRemainingLineItems({
+    id: 'gid://shopify/DraftOrder/1',
+    lineItems: { edges: [lineItemEdge(1)], pageInfo: { hasNextPage: true, endCursor: 'c1' } }
+  })
+
+  assert.strictEqual(draftOrder.lineItems.edges.length, 3)
+  assert.deepStrictEqual(requests.map(r => r.variables.after), ['c1', 'c2'])
+})
+
+test('loadRemainingLineItems leaves single-page draft orders untouched', async (t) => {
+  const { service, requests } = buildService([])
+
+  const original = {
+    id: 'gid://shopify/DraftOrder/1',
+    lineItems: { edges: [lineItemEdge(1)], pageInfo: { hasNextPage: false, endCursor: 'c1' } }
+  }
+
+  assert.strictEqual(await service.loadRemainingLineItems(original), original)
+  assert.strictEqual(requests.length, 0)
+})
+
+test('mergeLineItemChanges updates, adds and removes variant lines', async (t) => {
+  const { service } = buildService([])
+
+  const lineItems = {
+    edges: [
+      { node: { title: 'A', quantity: 1, variant: { id: 'v1' }, customAttributes: [] } },
+      { node: { title: 'B', quantity: 2, variant: { id: 'v2' }, customAttributes: [] } }
+    ]
+  }
+
+  const lines = service.mergeLineItemChanges(lineItems, [
+    { variantId: 'v1', quantity: 5 },
+    { variantId: 'v2', quantity: 0 },
+    { variantId: 'v3', quantity: 1 }
+  ])
+
+  assert.deepStrictEqual(lines.map(l => [l.variantId, l.quantity]), [['v1', 5], ['v3', 1]])
+})
+
+test('updateDraftOrder keeps the quoted price and discount of lines it does not change', async (t) => {
+  const price = amount => ({ shopMoney: { amount, currencyCode: 'EUR' }, presentmentMoney: { amount, currencyCode: 'SEK' } })
+  const draftOrder = {
+    id: 'gid://shopify/DraftOrder/1',
+    status: 'OPEN',
+    lineItems: {
+      edges: [
+        {
+          node: {
+            id: 'gid://shopify/DraftOrderLineItem/1',
+            title: 'Ear defenders',
+            quantity: 2,
+            variant: { id: 'v1' },
+            originalUnitPriceSet: price('250.00'),
+            appliedDiscount: { title: 'Bulk', value: 10, valueType: 'PERCENTAGE' }
+          }
+        },
+        {
+          node: {
+            id: 'gid://shopify/DraftOrderLineItem/2',
+            title: 'Fitting service',
+            quantity: 1,
+            custom: true,
+            taxable: true,
+            originalUnitPriceSet: price('900.00')
+          }
+        },
+        {
+          node: {
+            id: 'gid://shopify/DraftOrderLineItem/3',
+            title: 'Engraving',
+            quantity: 1,
+            custom: true,
+            originalUnitPriceSet: price('100.00')
+          }
+        }
+      ],
+      pageInfo: { hasNextPage: false }
+    }
+  }
+  const { service, requests } = buildService([
+    { data: { draftOrder } },
+    { data: { draftOrderUpdate: { draftOrder, userErrors: [] } } }
+  ])
+
+  await service.updateDraftOrder('1', {
+    lineItems: [
+      { variantId: 'v2', quantity: 1 },
+      { id: 'gid://shopify/DraftOrderLineItem/3', quantity: 0 }
+    ]
+  })
+
+  assert.deepStrictEqual(requests[1].variables.input.lineItems, [
+    {
+      variantId: 'v1',
+      quantity: 2,
+      priceOverride: { amount: '250.00', currencyCode: 'SEK' },
+      appliedDiscount: { title: 'Bulk', value: 10, valueType: 'PERCENTAGE' }
+    },
+    {
+      title: 'Fitting service',
+      quantity: 1,
+      taxable: true,
+      originalUnitPriceWithCurrency: { amount: '900.00', currencyCode: 'SEK' }
+    },
+    { variantId: 'v2', quantity: 1 }
+  ])
+})
+
+test('mergeLineItemChanges rejects line item ids the draft order does not have', async (t) => {
+  const { service } = buildService([])
+
+  assert.throws(
+    () => service.mergeLineItemChanges({ edges: [] }, [{ id: 'gid://shopify/DraftOrderLineItem/9', quantity: 1 }]),
+    /Draft order update failed: draft order has no line item gid:\/\/shopify\/DraftOrderLineItem\/9/
+  )
+})
+
+test('buildLineItemInput maps custom lines to custom draft order line items', async (t) => {
+  const { service } = buildService([])
+
+  assert.deepStrictEqual(
+    service.buildLineItemInput({ title: 'Installation', price: 45, quantity: 2, taxable: false, sku: 'LABOUR' }),
+    { title: 'Installation', originalUnitPrice: 45, quantity: 2, taxable: false, sku: 'LABOUR' }
+  )
+  assert.deepStrictEqual(
+    service.buildLineItemInput({ variantId: 'v1', quantity: 1, title: 'Ignored', price: 10 }),
+    { variantId: 'v1', quantity: 1 }
+  )
+})
+
+test('calculateQuote groups taxes by rate and surfaces shipping options', async (t) => {
+  const money = amount => ({ shopMoney: { amount, currencyCode: 'EUR' } })
+  const { service, requests } = buildService([
+    {
+      data: {
+        draftOrderCalculate: {
+          userErrors: [],
+          calculatedDraftOrder: {
+            currencyCode: 'EUR',
+            subtotalPriceSet: money('100.00'),
+            totalTaxSet: money('26.00'),
+            totalDiscountsSet: money('0.00'),
+            totalShippingPriceSet: money('4.00'),
+            totalPriceSet: money('130.00'),
+            taxLines: [
+              { title: 'VAT', rate: 0.24, priceSet: money('24.00') },
+              { title: 'VAT', rate: 0.24, priceSet: money('0.96') },
+              { title: 'Reduced VAT', rate: 0.1, priceSet: money('1.04') }
+            ],
+            appliedDiscount: null,
+            discountCodes: [],
+            shippingLine: null,
+            availableShippingRates: [
+              { handle: 'standard', title: 'Standard', price: { amount: '4.00', currencyCode: 'EUR' } }
+            ],
+            lineItems: [
+              { title: 'Widget', quantity: 2, sku: 'W-1', variant: { id: 'v1', sku: 'W-1' }, originalUnitPriceSet: money('50.00'), discountedTotalSet: money('100.00') }
+            ]
+          }
+        }
+      }
+    }
+  ])
+
+  const calculation = await service.calculateQuote({ cartLines: [{ variantId: 'v1', quantity: 2 }] })
+
+  assert.strictEqual(requests.length, 1)
+  assert.match(requests[0].query, /draftOrderCalculate/)
+  assert.deepStrictEqual(calculation.taxes, [
+    { title: 'VAT', rate: 0.24, amount: '24.96' },
+    { title: 'Reduced VAT', rate: 0.1, amount: '1.04' }
+  ])
+  assert.deepStrictEqual(calculation.shipping.options, [
+    { handle: 'standard', title: 'Standard', price: '4.00', currencyCode: 'EUR' }
+  ])
+  assert.strictEqual(calculation.total, '130.00')
+  assert.strictEqual(calculation.lineItems[0].unitPrice, '50.00')
+})
+
+test('calculateQuote surfaces Shopify user errors', async (t) => {
+  const { service } = buildService([
+    { data: { draftOrderCalculate: { userErrors: [{ field: ['lineItems'], message: 'Variant is invalid' }], calculatedDraftOrder: null } } }
+  ])
+
+  await assert.rejects(
+    service.calculateQuote({ cartLines: [{ variantId: 'v1', quantity: 1 }] }),
+    /Draft order calculation failed: Variant is invalid/
+  )
+})
+
+test('buildDraftOrderInput stores the quote expiry metafield', async (t) => {
+  const { service } = buildService([])
+
+  const before = Date.now()
+  const input = await service.buildDraftOrderInput({
+    cartLines: [{ variantId: 'v1', quantity: 1 }],
+    validityDays: 14
+  })
+
+  const [metafield] = input.metafields
+  assert.strictEqual(metafield.key, 'quote_expires_at')
+  assert.strictEqual(metafield.type, 'date_time')
+
+  const days = (new Date(metafield.value).getTime() - before) / (24 * 60 * 60 * 1000)
+  assert.ok(days >= 14 && days < 14.01)
+})
+
+test('buildDraftOrderInput prices the quote in the requested currency', async (t) => {
+  const { service } = buildService([])
+
+  const input = await service.buildDraftOrderInput({
+    cartLines: [{ variantId: 'v1', quantity: 1 }],
+    pricing: { currency: 'sek' }
+  })
+
+  assert.strictEqual(input.presentmentCurrencyCode, 'SEK')
+})
+
+test('formatDraftOrderResponse reports presentment amounts with shop-currency totals', async (t) => {
+  const { service } = buildService([])
+  const money = (shop, presentment) => ({
+    shopMoney: { amount: shop, currencyCode: 'EUR' },
+    presentmentMoney: { amount: presentment, currencyCode: 'SEK' }
+  })
+
+  const response = service.formatDraftOrderResponse({
+    id: 'gid://shopify/DraftOrder/1',
+    currencyCode: 'EUR',
+    presentmentCurrencyCode: 'SEK',
+    totalPrice: '124.00',
+    totalPriceSet: money('124.00', '1426.00'),
+    subtotalPriceSet: money('100.00', '1150.00'),
+    totalTaxSet: money('24.00', '276.00'),
+    taxLines: [{ title: 'VAT', rate: 0.24, price: '24.00', priceSet: money('24.00', '276.00') }],
+    shippingLine: { title: 'Courier', price: '0.00', originalPriceSet: money('0.00', '0.00'), taxLines: [] },
+    lineItems: {
+      edges: [{
+        node: {
+          title: 'Ear defenders',
+          quantity: 4,
+          originalUnitPrice: '25.00',
+          originalUnitPriceSet: money('25.00', '287.50'),
+          taxLines: [{ title: 'VAT', rate: 0.24, price: '24.00', priceSet: money('24.00', '276.00') }]
+        }
+      }]
+    }
+  })
+
+  assert.strictEqual(response.currencyCode, 'SEK')
+  assert.strictEqual(response.totalPrice, '1426.00')
+  assert.strictEqual(response.taxLines[0].price, '276.00')
+  assert.strictEqual(response.lineItems.edges[0].node.originalUnitPrice, '287.50')
+  assert.strictEqual(response.lineItems.edges[0].node.taxLines[0].price, '276.00')
+  assert.deepStrictEqual(response.shopCurrency, {
+    currencyCode: 'EUR',
+    totalPrice: '124.00',
+    subtotalPrice: '100.00',
+    totalTax: '24.00'
+  })
+})
+
+test('buildQuoteSearchQuery scopes every filter to its field', async (t) => {
+  const { service } = buildService([])
+
+  assert.strictEqual(service.buildQuoteSearchQuery(), 'tag:quote-request')
+  assert.strictEqual(service.buildQuoteSearchQuery({ status: 'INVOICE_SENT' }), 'tag:quote-request AND status:invoice_sent')
+  assert.strictEqual(
+    service.buildQuoteSearchQuery({ createdFrom: '2025-01-01' }),
+    'tag:quote-request AND created_at:>=\'2025-01-01T00:00:00.000Z\''
+  )
+  assert.strictEqual(
+    service.buildQuoteSearchQuery({ createdTo: '2025-02-01T12:00:00Z' }),
+    'tag:quote-request AND created_at:<=\'2025-02-01T12:00:00.000Z\''
+  )
+  assert.strictEqual(service.buildQuoteSearchQuery({ cartApi: true }), 'tag:quote-request AND tag:cart-api')
+  assert.strictEqual(service.buildQuoteSearchQuery({ cartApi: false }), 'tag:quote-request AND -tag:cart-api')
+  assert.strictEqual(
+    service.buildQuoteSearchQuery({ email: 'buyer@example.com' }, { customerId: 'gid://shopify/Customer/42' }),
+    'tag:quote-request AND customer_id:42'
+  )
+  assert.throws(() => service.buildQuoteSearchQuery({ createdTo: '2024-01-01 OR status:completed' }), /Invalid filter/)
+})
+
+test('listDraftOrders resolves the email to its customer', async (t) => {
+  const { service, requests } = buildService([
+    { data: { draftOrders: { edges: [], pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null } } } }
+  ])
+  const lookups = []
+  service.fastify.services.customer = {
+    async findCustomerByEmail (email) {
+      lookups.push(email)
+      return { id: 'gid://shopify/Customer/42', email }
+    }
+  }
+
+  await service.listDraftOrders({ filters: { email: 'buyer@example.com', status: 'OPEN' } })
+
+  assert.deepStrictEqual(lookups, ['buyer@example.com'])
+  assert.strictEqual(requests[0].variables.query, 'tag:quote-request AND status:open AND customer_id:42')
+})
+
+test('listDraftOrders returns no quotes for an email without a customer', async (t) => {
+  const { service, requests } = buildService([])
+  service.fastify.services.customer = { async findCustomerByEmail () { return null } }
+
+  const result = await service.listDraftOrders({ filters: { email: 'nobody@example.com' } })
+
+  assert.deepStrictEqual(result.draftOrders, [])
+  assert.strictEqual(requests.length, 0)
+})
+
+test('listDraftOrders resolves the company filter and returns no quotes for unknown companies', async (t) => {
+  const { service, requests } = buildService([{ data: { companies: { edges: [] } } }])
+
+  const result = await service.listDraftOrders({ filters: { company: 'Acme "Oy"' } })
+
+  assert.deepStrictEqual(result.draftOrders, [])
+  assert.strictEqual(requests.length, 1)
+  assert.strictEqual(requests[0].variables.query, 'name:"Acme \\"Oy\\""')
+})
+
+test('listDraftOrders keeps only quotes of the matching companies', async (t) => {
+  const quote = (id, companyId) => ({
+    node: {
+      id: `gid://shopify/DraftOrder/${id}`,
+      tags: ['quote-request'],
+      purchasingEntity: companyId ? { company: { id: companyId, name: 'Acme Oy' } } : null
+    }
+  })
+  const { service, requests } = buildService([
+    { data: { companies: { edges: [{ node: { id: 'gid://shopify/Company/1' } }] } } },
+    {
+      data: {
+        draftOrders: {
+          edges: [quote(1, 'gid://shopify/Company/1'), quote(2, 'gid://shopify/Company/2'), quote(3, null)],
+          pageInfo: { hasNextPage: true, hasPreviousPage: false, startCursor: 's', endCursor: 'e' }
+        }
+      }
+    }
+  ])
+
+  const result = await service.listDraftOrders({ filters: { company: 'Acme' } })
+
+  assert.strictEqual(requests[1].variables.query, 'tag:quote-request')
+  assert.deepStrictEqual(result.draftOrders.map(d => d.id), ['gid://shopify/DraftOrder/1'])
+  assert.strictEqual(result.pageInfo.endCursor, 'e')
+})
+
+test('sweepExpiredQuotes tags expired quotes and releases their reservation', async (t) => {
+  const { service, requests } = buildService([
+    {
+      data: {
+        draftOrders: {
+          edges: [
+            { node: { id: 'd1', tags: ['quote-request'], reserveInventoryUntil: '2026-01-10T00:00:00Z', quoteExpiresAt: { value: '2026-01-01T00:00:00Z' } } },
+            { node: { id: 'd2', tags: ['quote-request'], reserveInventoryUntil: null, quoteExpiresAt: { value: '2026-12-01T00:00:00Z' } } },
+            { node: { id: 'd3', tags: ['quote-request'], reserveInventoryUntil: null, quoteExpiresAt: null } }
+          ],
+          pageInfo: { hasNextPage: false, endCursor: 'c1' }
+        }
+      }
+    },
+    { data: { draftOrderUpdate: { draftOrder: { id: 'd1' }, userErrors: [] } } }
+  ])
+
+  const result = await service.sweepExpiredQuotes({ now: new Date('2026-06-01T00:00:00Z') })
+
+  assert.deepStrictEqual(result, { expired: ['d1'], failed: [] })
+  assert.match(requests[0].variables.query, /-tag:quote-expired/)
+  assert.deepStrictEqual(requests[1].variables, {
+    id: 'd1',
+    input: { tags: ['quote-request', 'quote-expired'], reserveInventoryUntil: null }
+  })
+})
+
+test('sweepExpiredQuotes deletes expired quotes when configured to', async (t) => {
+  const { service, requests } = buildService([
+    {
+      data: {
+        draftOrders: {
+          edges: [{ node: { id: 'd1', tags: [], quoteExpiresAt: { value: '2026-01-01T00:00:00Z' } } }],
+          pageInfo: { hasNextPage: false, endCursor: 'c1' }
+        }
+      }
+    },
+    { data: { draftOrderDelete: { deletedId: 'd1', userErrors: [] } } }
+  ])
+
+  const result = await service.sweepExpiredQuotes({ action: 'delete', now: new Date('2026-06-01T00:00:00Z') })
+
+  assert.deepStrictEqual(result.expired, ['d1'])
+  assert.match(requests[1].query, /draftOrderDelete/)
+})
+
+test('reserveInventory extends the quote expiry when reserving past it', async (t) => {
+  const draftOrder = {
+    id: 'gid://shopify/DraftOrder/1',
+    status: 'OPEN',
+    quoteExpiresAt: { value: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() },
+    lineItems: { edges: [lineItemEdge(1)], pageInfo: { hasNextPage: false, endCursor: 'c1' } }
+  }
+  const { service, requests } = buildService([
+    { data: { draftOrder } },
+    { data: { draftOrderUpdate: { draftOrder, userErrors: [] } } }
+  ])
+
+  await service.reserveInventory('1', { days: 7 })
+
+  const { input } = requests[1].variables
+  assert.strictEqual(input.metafields[0].key, 'quote_expires_at')
+  assert.strictEqual(input.metafields[0].value, input.reserveInventoryUntil)
+})
+
+test('reserveInventory rejects completed draft orders', async (t) => {
+  const { service } = buildService([
+    { data: { draftOrder: { id: 'gid://shopify/DraftOrder/1', status: 'COMPLETED', lineItems: { edges: [], pageInfo: { hasNextPage: false } } } } }
+  ])
+
+  await assert.rejects(service.reserveInventory('1'), /Inventory reservation failed/)
+})
+
+const PAYMENT_TERMS_TEMPLATES = [
+  { id: 'gid://shopify/PaymentTermsTemplate/1', name: 'Due on receipt', paymentTermsType: 'RECEIPT', dueInDays: null },
+  { id: 'gid://shopify/PaymentTermsTemplate/4', name: 'Net 30', paymentTermsType: 'NET', dueInDays: 30 },
+  { id: 'gid://shopify/PaymentTermsTemplate/7', name: 'Fixed', paymentTermsType: 'FIXED', dueInDays: null }
+]
+
+test('resolvePaymentTerms matches explicit net and fixed terms to templates', async (t) => {
+  const { service, requests } = buildService([
+    { data: { paymentTermsTemplates: PAYMENT_TERMS_TEMPLATES } }
+  ])
+
+  assert.deepStrictEqual(await service.resolvePaymentTerms({ netDays: 30 }), {
+    paymentTermsTemplateId: 'gid://shopify/PaymentTermsTemplate/4',
+    dueAt: undefined
+  })
+  assert.deepStrictEqual(await service.resolvePaymentTerms({ dueAt: '2026-12-31T00:00:00Z' }), {
+    paymentTermsTemplateId: 'gid://shopify/PaymentTermsTemplate/7',
+    dueAt: '2026-12-31T00:00:00Z'
+  })
+  await assert.rejects(service.resolvePaymentTerms({ netDays: 60 }), /Payment terms unavailable: no Net 60/)
+
+  // Templates are fetched once
+  assert.strictEqual(requests.length, 1)
+})
+
+test('resolvePaymentTerms defaults to the company location terms', async (t) => {
+  const { service, requests } = buildService([
+    { data: { companyLocation: { buyerExperienceConfiguration: { paymentTermsTemplate: PAYMENT_TERMS_TEMPLATES[1] } } } }
+  ])
+
+  const terms = await service.resolvePaymentTerms(undefined, { companyLocationId: 'gid://shopify/CompanyLocation/1' })
+
+  assert.deepStrictEqual(terms, { paymentTermsTemplateId: 'gid://shopify/PaymentTermsTemplate/4' })
+  assert.strictEqual(requests[0].variables.id, 'gid://shopify/CompanyLocation/1')
+  assert.strictEqual(await service.resolvePaymentTerms(undefined, null), null)
+})
+
+test('formatPaymentTerms derives the due date of net terms from the issue date', async (t) => {
+  const { service } = buildService([])
+
+  const terms = service.formatPaymentTerms({
+    paymentTermsName: 'Net 15',
+    paymentTermsType: 'NET',
+    dueInDays: 15,
+    paymentSchedules: { edges: [{ node: { issuedAt: '2026-03-01T00:00:00Z', dueAt: null } }] }
+  })
+
+  assert.strictEqual(terms.name, 'Net 15')
+  assert.strictEqual(terms.dueAt, '2026-03-16T00:00:00.000Z')
+  assert.strictEqual(service.formatPaymentTerms(null), null)
+})
+
+test('formatDraftOrderResponse includes payment terms and the inventory reservation', async (t) => {
+  const { service } = buildService([])
+
+  const response = service.formatDraftOrderResponse({
+    id: 'gid://shopify/DraftOrder/1',
+    reserveInventoryUntil: '2026-03-31T00:00:00Z',
+    paymentTerms: { paymentTermsName: 'Net 30', paymentTermsType: 'NET', dueInDays: 30, paymentSchedules: { edges: [] } }
+  })
+
+  assert.strictEqual(response.reserveInventoryUntil, '2026-03-31T00:00:00Z')
+  assert.strictEqual(response.paymentTerms.name, 'Net 30')
+})
+
+function companyContactResponse ({ isMainContact = false, locations = ['L1'], defaultLocation = null } = {}) {
+  return {
+    data: {
+      customer: {
+        defaultCompanyLocation: defaultLocation ? { value: defaultLocation } : null,
+        companyContactProfiles: [
+          {
+            id: 'gid://shopify/CompanyContact/9',
+            isMainContact,
+            company: { id: 'C1', locations: { edges: locations.map(id => ({ node: { id } })) } }
+          }
+        ]
+      }
+    }
+  }
+}
+
+function locationAccessResponse (id, { companyId = 'C1', assigned = true } = {}) {
+  return {
+    data: {
+      companyLocation: {
+        id,
+        company: { id: companyId },
+        roleAssignments: { edges: assigned ? [{ node: { id: 'gid://shopify/CompanyContactRoleAssignment/1' } }] : [] }
+      }
+    }
+  }
+}
+
+test('resolvePurchasingCompany verifies the contact and location access', async (t) => {
+  const { service, requests } = buildService([
+    companyContactResponse({ locations: ['L1', 'L2'] }),
+    locationAccessResponse('L1')
+  ])
+
+  assert.deepStrictEqual(
+    await service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' }, location: { id: 'L1' } }),
+    { companyId: 'C1', companyLocationId: 'L1', companyContactId: 'gid://shopify/CompanyContact/9' }
+  )
+  assert.deepStrictEqual(requests[1].variables, { id: 'L1', assignmentQuery: 'company_contact_id:9' })
+})
+
+test('resolvePurchasingCompany rejects spoofed companies and locations', async (t) => {
+  const { service } = buildService([
+    companyContactResponse(),
+    companyContactResponse({ locations: ['L1', 'L2'] }),
+    locationAccessResponse('L2', { assigned: false }),
+    companyContactResponse({ isMainContact: true }),
+    locationAccessResponse('L3', { companyId: 'C2' })
+  ])
+
+  await assert.rejects(
+    service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C2' }, location: { id: 'L1' } }),
+    /Company access denied: customer U1 is not a contact of company C2/
+  )
+  await assert.rejects(
+    service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' }, location: { id: 'L2' } }),
+    /Company access denied: contact .* has no access to location L2/
+  )
+  await assert.rejects(
+    service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' }, location: { id: 'L3' } }),
+    /Company access denied: location L3 is not a location of company C1/
+  )
+  await assert.rejects(
+    service.resolvePurchasingCompany(null, { company: { id: 'C1' } }),
+    /Company access denied: a customer is required/
+  )
+})
+
+test('resolvePurchasingCompany auto-selects the only or the default location when only a company is given', async (t) => {
+  const { service } = buildService([
+    companyContactResponse({ isMainContact: true, locations: ['L1'] }),
+    locationAccessResponse('L1', { assigned: false }),
+    companyContactResponse({ locations: ['L1', 'L2'], defaultLocation: 'L2' }),
+    locationAccessResponse('L2'),
+    companyContactResponse({ locations: ['L1', 'L2'] }),
+    companyContactResponse({ locations: ['L1', 'L2'], defaultLocation: 'L9' }),
+    locationAccessResponse('L9', { companyId: 'C2' })
+  ])
+
+  const single = await service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' } })
+  assert.strictEqual(single.companyLocationId, 'L1')
+
+  const preferred = await service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' } })
+  assert.strictEqual(preferred.companyLocationId, 'L2')
+
+  await assert.rejects(
+    service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' } }),
+    /Company location required: company C1 has several locations and contact .* has no default location/
+  )
+  await assert.rejects(
+    service.resolvePurchasingCompany({ id: 'U1' }, { company: { id: 'C1' } }),
+    /Company location required: the default location of contact .* is not a location of company C1/
+  )
+})
+
+test('updateDraftOrder re-evaluates reverse charge when the shipping address changes', async (t) => {
+  const TaxService = require('../../services/tax.service')
+  const draftOrder = {
+    id: 'gid://shopify/DraftOrder/1',
+    status: 'OPEN',
+    customer: { id: 'U1' },
+    shippingAddress: { countryCodeV2: 'EE' },
+    purchasingEntity: { company: { id: 'C1', name: 'Example GmbH' }, location: { id: 'L1' } },
+    lineItems: { edges: [], pageInfo: { hasNextPage: false } }
+  }
+  const location = {
+    data: { companyLocation: { taxSettings: { taxRegistrationId: 'DE123456789' }, shippingAddress: { countryCode: 'EE' } } }
+  }
+  const { service, requests } = buildService([
+    { data: { draftOrder } },
+    location,
+    { data: { draftOrderUpdate: { draftOrder, userErrors: [] } } },
+    { data: { draftOrder } },
+    location,
+    { data: { draftOrderUpdate: { draftOrder, userErrors: [] } } }
+  ])
+  service.fastify.config = { merchant: { countryCode: 'EE' } }
+  service.fastify.services.tax = new TaxService(service.fastify)
+  service.fastify.services.vatValidation = { async validate (vatId) { return { vatId, valid: true } } }
+
+  await service.updateDraftOrder('1', { shippingAddress: { address1: 'Hauptstr. 1', countryCode: 'DE' } })
+  assert.strictEqual(requests[2].variables.input.taxExempt, true)
+
+  await service.updateDraftOrder('1', { shippingAddress: { address1: 'Narva mnt 5', countryCode: 'EE' } })
+  assert.strictEqual(requests[5].variables.input.taxExempt, false)
+})
+
+test('updateDraftOrder takes the payment terms of a new company location', async (t) => {
+  const draftOrder = {
+    id: 'gid://shopify/DraftOrder/1',
+    status: 'OPEN',
+    customer: { id: 'U1' },
+    purchasingEntity: { company: { id: 'C1', name: 'Acme Oy' }, location: { id: 'L1' } },
+    paymentTerms: { paymentTermsName: 'Net 30', paymentTermsType: 'NET', dueInDays: 30, paymentSchedules: { edges: [] } },
+    lineItems: { edges: [], pageInfo: { hasNextPage: false } }
+  }
+  const { service, requests } = buildService([
+    { data: { draftOrder } },
+    { data: { draftOrderUpdate: { draftOrder, userErrors: [] } } },
+    { data: { draftOrder } },
+    { data: { draftOrderUpdate: { draftOrder, userErrors: [] } } }
+  ])
+  const locationTerms = { L2: { id: 'gid://shopify/PaymentTermsTemplate/4', paymentTermsType: 'NET', dueInDays: 60 }, L3: null }
+  service.resolvePurchasingCompany = async (customer, entity) => ({
+    companyId: entity.company.id,
+    companyLocationId: entity.location.id,
+    companyContactId: 'CC1'
+  })
+  service.evaluateReverseCharge = async () => null
+  service.fetchLocationPaymentTermsTemplate = async (locationId) => locationTerms[locationId]
+
+  await service.updateDraftOrder('1', { purchasingEntity: { company: { id: 'C1' }, location: { id: 'L2' } } })
+  assert.strictEqual(requests[1].variables.input.paymentTerms.paymentTermsTemplateId, 'gid://shopify/PaymentTermsTemplate/4')
+
+  await service.updateDraftOrder('1', { purchasingEntity: { company: { id: 'C1' }, location: { id: 'L3' } } })
+  assert.strictEqual(requests[3].variables.input.paymentTerms, null)
+})
+
+test('completeDraftOrder copies the quote template and locale to the order', async (t) => {
+  const { service, requests } = buildService([
+    {
+      data: {
+        draftOrderComplete: {
+          draftOrder: {
+            id: 'gid://shopify/DraftOrder/1',
+            name: '#D1',
+            status: 'COMPLETED',
+            quoteTemplate: { value: 'export' },
+            quoteLocale: null,
+            order: { id: 'gid://shopify/Order/7', name: '#1001' }
+          },
+          userErrors: []
+        }
+      }
+    },
+    { data: { metafieldsSet: { userErrors: [] } } }
+  ])
+
+  const { order } = await service.completeDraftOrder('1')
+
+  assert.strictEqual(order.id, 'gid://shopify/Order/7')
+  assert.deepStrictEqual(requests[1].variables.metafields, [
+    { namespace: 'custom', key: 'quote_template', type: 'single_line_text_field', value: 'export', ownerId: 'gid://shopify/Order/7' }
+  ])
+})
+
+test('completeDraftOrder resolves net days to a template and names both when Shopify rejects them', async (t) => {
+  const { service, requests } = buildService([
+    { data: { paymentTermsTemplates: PAYMENT_TERMS_TEMPLATES } },
+    { data: { draftOrderUpdate: { draftOrder: null, userErrors: [{ field: ['paymentTerms'], message: 'Payment terms are not enabled' }] } } }
+  ])
+
+  await assert.rejects(
+    service.completeDraftOrder('1', { paymentTerms: { netDays: 30 } }),
+    /payment terms template gid:\/\/shopify\/PaymentTermsTemplate\/4 rejected for draft order gid:\/\/shopify\/DraftOrder\/1: Payment terms are not enabled/
+  )
+  assert.strictEqual(requests[1].variables.input.paymentTerms.paymentTermsTemplateId, 'gid://shopify/PaymentTermsTemplate/4')
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const I18nService = require('../../services/i18n.service')
+
+function buildService (defaultLocale) {
+  const log = { info () {}, warn () {}, error () {} }
+  return new I18nService({ log, config: { i18n: { defaultLocale } } })
+}
+
+test('resolveLanguage falls back from payload to customer locale to shop default', async (t) => {
+  const service = buildService('fi-FI')
+
+  assert.strictEqual(service.resolveLanguage('et-EE', 'ru'), 'et')
+  assert.strictEqual(service.resolveLanguage('de-DE', 'ru_RU'), 'ru')
+  assert.strictEqual(service.resolveLanguage(null, undefined), 'fi')
+  assert.strictEqual(buildService('sv').resolveLanguage('de'), 'en')
+})
+
+test('translator interpolates params and falls back to English, then the key', async (t) => {
+  const service = buildService('en')
+  const translate = service.translator('et')
+
+  assert.strictEqual(translate('invoice.heading'), 'HINNAPAKKUMINE')
+  assert.strictEqual(translate('paymentTerms.NET', { days: 14 }), 'Maksetähtaeg 14 päeva')
+  assert.strictEqual(translate('invoice.unknownLabel'), 'invoice.unknownLabel')
+  assert.strictEqual(service.getFormatLocale('et'), 'et-EE')
+})
+
+test('every catalog translates every English label', async (t) => {
+  const keys = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'string' ? [`${prefix}${key}`] : keys(value, `${prefix}${key}.`)
+  )
+  const englishKeys = keys(require('../../locales/en.json')).sort()
+
+  for (const language of buildService('en').getSupportedLanguages()) {
+    assert.deepStrictEqual(keys(require(`../../locales/${language}.json`)).sort(), englishKeys, language)
+  }
+})
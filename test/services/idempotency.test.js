@@ -0,0 +1,140 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('node:fs/promises')
+const os = require('node:os')
+const path = require('node:path')
+
+const IdempotencyService = require('../../services/idempotency.service')
+
+// Minimal fastify stand-in with a store in a temporary directory
+async function buildService (t, windowSeconds = 3600) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'idempotency-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const log = { info () {}, warn () {}, error () {} }
+  const config = { idempotency: { storePath: path.join(dir, 'idempotency.json'), windowSeconds } }
+
+  return { service: new IdempotencyService({ log, config }), config, log }
+}
+
+function request (body, headers = {}) {
+  return { body, headers }
+}
+
+test('runOnce replays the first result for the same key and payload', async (t) => {
+  const { service } = await buildService(t)
+  let calls = 0
+  const operation = async () => ({ id: `draft-${++calls}` })
+
+  const first = await service.runOnce('draft-orders', request({ cartToken: 'c1' }), operation)
+  const second = await service.runOnce('draft-orders', request({ cartToken: 'c1' }), operation)
+
+  assert.deepStrictEqual(first.result, { id: 'draft-1' })
+  assert.strictEqual(first.replayed, false)
+  assert.deepStrictEqual(second.result, { id: 'draft-1' })
+  assert.strictEqual(second.replayed, true)
+  assert.strictEqual(calls, 1)
+})
+
+test('runOnce de-duplicates concurrent requests', async (t) => {
+  const { service } = await buildService(t)
+  let calls = 0
+  const operation = async () => {
+    calls++
+    await new Promise(resolve => setTimeout(resolve, 10))
+    return { id: 'draft-1' }
+  }
+
+  const results = await Promise.all([
+    service.runOnce('print-quote', request({ a: 1 }, { 'idempotency-key': 'k1' }), operation),
+    service.runOnce('print-quote', request({ a: 1 }, { 'idempotency-key': 'k1' }), operation)
+  ])
+
+  assert.strictEqual(calls, 1)
+  assert.deepStrictEqual(results.map(r => r.replayed), [false, true])
+})
+
+test('runOnce rejects an explicit key reused with a different payload', async (t) => {
+  const { service } = await buildService(t)
+
+  await service.runOnce('draft-orders', request({ a: 1 }, { 'idempotency-key': 'k1' }), async () => ({}))
+
+  await assert.rejects(
+    service.runOnce('draft-orders', request({ a: 2 }, { 'idempotency-key': 'k1' }), async () => ({})),
+    /Idempotency key conflict/
+  )
+})
+
+test('runOnce creates a new result when the cart changed under the same cart token', async (t) => {
+  const { service } = await buildService(t)
+  let calls = 0
+  const operation = async () => ({ id: `draft-${++calls}` })
+
+  await service.runOnce('draft-orders', request({ cartToken: 'c1', note: 'a' }), operation)
+  const second = await service.runOnce('draft-orders', request({ cartToken: 'c1', note: 'b' }), operation)
+
+  assert.strictEqual(second.replayed, false)
+  assert.deepStrictEqual(second.result, { id: 'draft-2' })
+})
+
+test('runOnce does not remember failed operations', async (t) => {
+  const { service } = await buildService(t)
+
+  await assert.rejects(
+    service.runOnce('draft-orders', request({ cartToken: 'c1' }), async () => { throw new Error('boom') }),
+    /boom/
+  )
+
+  const retry = await service.runOnce('draft-orders', request({ cartToken: 'c1' }), async () => ({ id: 'draft-1' }))
+  assert.strictEqual(retry.replayed, false)
+})
+
+test('records persist across service instances and updates are merged', async (t) => {
+  const { service, config, log } = await buildService(t)
+  const { idempotencyKey } = await service.runOnce('print-quote', request({ cartToken: 'c1' }), async () => ({
+    draftOrder: { id: 'draft-1' },
+    pdf: { status: 'pending', url: null }
+  }))
+
+  await service.updateResult('print-quote', idempotencyKey, { pdf: { status: 'completed', url: 'https://cdn/x.pdf' } })
+
+  const restarted = new IdempotencyService({ log, config })
+  const replay = await restarted.runOnce('print-quote', request({ cartToken: 'c1' }), async () => assert.fail('should replay'))
+
+  assert.strictEqual(replay.replayed, true)
+  assert.deepStrictEqual(replay.result.pdf, { status: 'completed', url: 'https://cdn/x.pdf' })
+})
+
+test('records expire after the window', async (t) => {
+  const { service } = await buildService(t, 0)
+  let calls = 0
+  const operation = async () => ({ id: `draft-${++calls}` })
+
+  await service.runOnce('draft-orders', request({ cartToken: 'c1' }), operation)
+  await new Promise(resolve => setTimeout(resolve, 5))
+  const second = await service.runOnce('draft-orders', request({ cartToken: 'c1' }), operation)
+
+  assert.strictEqual(second.replayed, false)
+  assert.strictEqual(calls, 2)
+})
+
+test('runOnce replays requests that differ only in their timestamp', async (t) => {
+  const { service } = await buildService(t)
+  let calls = 0
+  const operation = async () => ({ draftOrderId: `gid://shopify/DraftOrder/${++calls}` })
+  const payload = { cartToken: 'c1', cartLines: [{ variantId: 'v1', quantity: 2 }], customer: { email: 'a@example.com' } }
+
+  const first = await service.runOnce('print-quote', request({ ...payload, timestamp: '2026-03-01T10:00:00.000Z' }), operation)
+  const retry = await service.runOnce('print-quote', request({
+    timestamp: '2026-03-01T10:00:04.512Z',
+    customer: { email: 'a@example.com' },
+    cartLines: [{ quantity: 2, variantId: 'v1' }],
+    cartToken: 'c1'
+  }), operation)
+
+  assert.strictEqual(retry.replayed, true)
+  assert.deepStrictEqual(retry.result, first.result)
+  assert.strictEqual(calls, 1)
+})
@@ -0,0 +1,64 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const OrderService = require('../../services/order.service')
+const DraftOrderService = require('../../services/draftOrder.service')
+
+function buildService () {
+  const log = { info () {}, warn () {}, error () {} }
+  const fastify = { log, shopify: { admin: null }, services: {} }
+  fastify.services.draftOrder = new DraftOrderService(fastify)
+  return new OrderService(fastify)
+}
+
+const money = amount => ({ shopMoney: { amount }, presentmentMoney: { amount, currencyCode: 'EUR' } })
+
+test('formatOrderResponse rebuilds line and order discounts from discount allocations', async (t) => {
+  const service = buildService()
+
+  const orderDiscount = { targetSelection: 'ALL', title: 'Loyalty', value: { percentage: 5 } }
+  const order = service.formatOrderResponse({
+    id: 'gid://shopify/Order/1',
+    name: '#1001',
+    lineItems: {
+      edges: [
+        {
+          node: {
+            title: 'Ear defenders',
+            quantity: 2,
+            originalUnitPriceSet: money('25.00'),
+            discountAllocations: [
+              { allocatedAmountSet: money('5.00'), discountApplication: { targetSelection: 'EXPLICIT', title: 'Bulk', value: { percentage: 10 } } },
+              { allocatedAmountSet: money('2.25'), discountApplication: orderDiscount }
+            ]
+          }
+        },
+        { node: { title: 'Manual', quantity: 1, originalUnitPriceSet: money('10.00'), discountAllocations: [] } }
+      ]
+    }
+  })
+
+  const [discounted, plain] = order.lineItems.edges.map(({ node }) => node)
+  assert.deepStrictEqual(discounted.appliedDiscount, { title: 'Bulk', description: null, value: 10, valueType: 'PERCENTAGE' })
+  assert.strictEqual(discounted.originalTotalSet.presentmentMoney.amount, '50.00')
+  assert.strictEqual(discounted.discountedTotalSet.presentmentMoney.amount, '45.00')
+  assert.strictEqual(plain.appliedDiscount, undefined)
+  assert.strictEqual(order.appliedDiscount.title, 'Loyalty')
+})
+
+test('formatOrderResponse carries the quote template and locale and marks the document as an order', async (t) => {
+  const service = buildService()
+
+  const order = service.formatOrderResponse({
+    id: 'gid://shopify/Order/1',
+    name: '#1001',
+    quoteTemplate: { value: 'export' },
+    quoteLocale: { value: 'et-EE' }
+  })
+
+  assert.strictEqual(order.template, 'export')
+  assert.strictEqual(order.locale, 'et-EE')
+  assert.strictEqual(order.documentType, 'order')
+})
@@ -0,0 +1,59 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const PaymentInstructionsService = require('../../services/paymentInstructions.service')
+
+const EUR_ACCOUNT = { currency: 'EUR', bankName: 'Swedbank', iban: 'ee46 2200 2210 5524 2663', bic: 'habaee2x' }
+const SEK_ACCOUNT = { currency: 'SEK', bankName: 'SEB', beneficiary: 'Eurosec AB', iban: 'SE4550000000058398257466', bic: 'ESSESESS' }
+
+function buildService (banking = {}) {
+  const log = { info () {}, warn () {}, error () {} }
+  return new PaymentInstructionsService({
+    log,
+    config: { merchant: { companyName: 'Eurosec OÜ' }, banking: { accounts: [EUR_ACCOUNT, SEK_ACCOUNT], ...banking } }
+  })
+}
+
+test('selectAccount picks the account in the document currency, else the first one', async (t) => {
+  const service = buildService()
+
+  assert.strictEqual(service.selectAccount('sek').bankName, 'SEB')
+  assert.strictEqual(service.selectAccount('NOK').bankName, 'Swedbank')
+  assert.strictEqual(service.selectAccount('EUR').beneficiary, 'Eurosec OÜ')
+
+  const invalidIban = buildService({ accounts: [{ ...EUR_ACCOUNT, iban: 'EE462200221055242664' }] })
+  assert.strictEqual(invalidIban.selectAccount('EUR'), null)
+})
+
+test('buildEpcPayload encodes a SEPA credit transfer for euro amounts only', async (t) => {
+  const service = buildService()
+  const account = service.selectAccount('EUR')
+
+  assert.strictEqual(
+    service.buildEpcPayload({ account, amount: 46.24, currencyCode: 'EUR', reference: 'INV-EE-113' }),
+    'BCD\n002\n1\nSCT\nHABAEE2X\nEurosec OÜ\nEE462200221055242663\nEUR46.24\n\n\nINV-EE-113'
+  )
+  assert.strictEqual(service.buildEpcPayload({ account, amount: 0, currencyCode: 'EUR', reference: 'INV-EE-113' }), null)
+  assert.strictEqual(
+    service.buildEpcPayload({ account: service.selectAccount('SEK'), amount: 100, currencyCode: 'SEK', reference: 'INV-EE-113' }),
+    null
+  )
+})
+
+test('prepare returns the bank details with a QR code image when one can be generated', async (t) => {
+  const euro = await buildService().prepare({ currencyCode: 'EUR', amount: 46.24, reference: 'INV-EE-113' })
+  assert.strictEqual(euro.iban, 'EE46 2200 2210 5524 2663')
+  assert.strictEqual(euro.reference, 'INV-EE-113')
+  assert.match(euro.qrCode, /^data:image\/png;base64,/)
+
+  const krona = await buildService().prepare({ currencyCode: 'SEK', amount: 100, reference: 'INV-EE-114' })
+  assert.strictEqual(krona.bic, 'ESSESESS')
+  assert.strictEqual(krona.qrCode, null)
+
+  const disabled = await buildService({ epcQrCode: false }).prepare({ currencyCode: 'EUR', amount: 46.24, reference: 'INV-EE-113' })
+  assert.strictEqual(disabled.qrCode, null)
+
+  assert.strictEqual(await buildService({ accounts: [] }).prepare({ currencyCode: 'EUR', amount: 1, reference: 'INV-EE-1' }), null)
+})
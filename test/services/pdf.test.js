@@ -0,0 +1,223 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const PdfService = require('../../services/pdf.service')
+
+function buildService (config = {}) {
+  const log = { info () {}, warn () {}, error () {} }
+  return new PdfService({ log, config })
+}
+
+test('line discounts reduce the line amount and are not repeated as order discount', async (t) => {
+  const service = buildService()
+
+  const draftOrder = {
+    totalDiscountsSet: { shopMoney: { amount: '15.00' } },
+    appliedDiscount: { title: 'Loyalty', value: 10, valueType: 'PERCENTAGE' },
+    discountCodes: [],
+    lineItems: {
+      edges: [
+        {
+          node: {
+            title: 'Ear defenders',
+            quantity: 2,
+            originalUnitPrice: '25.00',
+            originalTotalSet: { shopMoney: { amount: '50.00' } },
+            discountedTotalSet: { shopMoney: { amount: '45.00' } },
+            appliedDiscount: { title: 'Bulk', value: 10, valueType: 'PERCENTAGE' }
+          }
+        }
+      ]
+    }
+  }
+
+  const lineItems = service.processInvoiceLineItems(draftOrder.lineItems, service.createFormatter('en-US', 'EUR'))
+  assert.strictEqual(lineItems[0].amountRaw, 45)
+  assert.strictEqual(lineItems[0].discount.description, 'Bulk (10%)')
+
+  const discount = service.processDiscountInfo(draftOrder, service.createFormatter('en-US', 'EUR'), lineItems[0].discount.amountRaw)
+  assert.strictEqual(discount.amount, 10)
+  assert.strictEqual(discount.description, 'Loyalty (10%)')
+})
+
+test('processDiscountInfo describes discount codes next to a manual discount', async (t) => {
+  const service = buildService()
+
+  const discount = service.processDiscountInfo({
+    totalDiscountsSet: { shopMoney: { amount: '20.00' } },
+    appliedDiscount: { title: 'Staff', value: 5, valueType: 'FIXED_AMOUNT' },
+    discountCodes: ['SPRING']
+  }, service.createFormatter('en-US', 'EUR'))
+
+  assert.strictEqual(discount.description, 'Staff, Discount Code: SPRING')
+  assert.strictEqual(discount.amountFormatted, '€20.00')
+})
+
+test('processDiscountInfo returns null without discounts', async (t) => {
+  const service = buildService()
+
+  assert.strictEqual(service.processDiscountInfo({ totalDiscountsSet: null }, service.createFormatter('en-US', 'EUR')), null)
+})
+
+test('tax-exempt cross-border B2B invoices are marked reverse charge', async (t) => {
+  const TaxService = require('../../services/tax.service')
+  const log = { info () {}, warn () {}, error () {} }
+  const config = { merchant: { countryCode: 'EE' }, invoice: {} }
+  const fastify = { log, config, services: {} }
+  fastify.services.tax = new TaxService(fastify)
+  const service = new PdfService(fastify)
+
+  const draftOrder = {
+    name: '#D1',
+    currencyCode: 'EUR',
+    totalTax: '0.00',
+    taxExempt: true,
+    company: { name: 'Oy Example Ab', vatId: 'FI12345678', countryCode: 'FI' },
+    lineItems: { edges: [] }
+  }
+
+  assert.strictEqual(service.prepareInvoiceTemplateData({ draftOrder }).reverseCharge, true)
+  assert.strictEqual(
+    service.prepareInvoiceTemplateData({ draftOrder: { ...draftOrder, taxExempt: false } }).reverseCharge,
+    false
+  )
+
+  // The destination decides, not the company location: an Estonian location shipping to Finland
+  const shippedAbroad = { ...draftOrder, company: { ...draftOrder.company, countryCode: 'EE' }, shippingAddress: { countryCodeV2: 'FI' } }
+  assert.strictEqual(service.prepareInvoiceTemplateData({ draftOrder: shippedAbroad }).reverseCharge, true)
+  assert.strictEqual(
+    service.prepareInvoiceTemplateData({ draftOrder: { ...draftOrder, shippingAddress: { countryCodeV2: 'EE' } } }).reverseCharge,
+    false
+  )
+
+  // A VAT ID that failed validation stays on the invoice, flagged instead of reverse charged
+  const rejected = service.prepareInvoiceTemplateData({ draftOrder, vatValidation: { vatId: 'FI12345678', valid: false } })
+  assert.strictEqual(rejected.reverseCharge, false)
+  assert.strictEqual(rejected.reverseChargeRejected, true)
+  assert.strictEqual(service.prepareInvoiceTemplateData({ draftOrder }).reverseChargeRejected, false)
+  assert.strictEqual(rejected.billTo.vatId, 'FI12345678')
+})
+
+test('invoice addresses print the stored VAT ID and mark it unless validation passed', async (t) => {
+  const service = buildService()
+  const company = { name: 'Oy Example Ab', vatId: 'fi12345678' }
+
+  const verified = service.formatInvoiceAddress(null, null, company, { vatId: 'FI12345678', valid: true })
+  assert.strictEqual(verified.vatId, 'fi12345678')
+  assert.strictEqual(verified.vatIdVerified, true)
+
+  const invalid = service.formatInvoiceAddress(null, null, company, { vatId: 'FI12345678', valid: false })
+  assert.strictEqual(invalid.vatId, 'fi12345678')
+  assert.strictEqual(invalid.vatIdVerified, false)
+
+  const unverified = service.formatInvoiceAddress(null, null, company, { vatId: 'FI12345678', valid: null })
+  assert.strictEqual(unverified.vatId, 'fi12345678')
+  assert.strictEqual(unverified.vatIdVerified, false)
+})
+
+test('shop-currency equivalents are shown only when enabled and the currencies differ', async (t) => {
+  const shopCurrency = { currencyCode: 'EUR', subtotalPrice: '100.00', totalTax: '24.00', totalPrice: '124.00' }
+
+  const hidden = buildService({ invoice: {} })
+  assert.strictEqual(hidden.formatShopCurrencyEquivalents(shopCurrency, hidden.createFormatter('en-US', 'SEK')), null)
+
+  const service = buildService({ invoice: { showShopCurrency: true } })
+  assert.strictEqual(service.formatShopCurrencyEquivalents(shopCurrency, service.createFormatter('en-US', 'EUR')), null)
+  assert.deepStrictEqual(service.formatShopCurrencyEquivalents(shopCurrency, service.createFormatter('en-US', 'SEK')), {
+    currencyCode: 'EUR',
+    subtotal: '€100.00',
+    vatAmount: '€24.00',
+    total: '€124.00'
+  })
+})
+
+test('invoice data is localized from the payload locale, then the quote and customer locale', async (t) => {
+  const I18nService = require('../../services/i18n.service')
+  const log = { info () {}, warn () {}, error () {} }
+  const config = { invoice: {}, i18n: { defaultLocale: 'en' } }
+  const fastify = { log, config, services: {} }
+  fastify.services.i18n = new I18nService(fastify)
+  const service = new PdfService(fastify)
+
+  const draftOrder = {
+    name: '#D1',
+    createdAt: '2026-03-01T10:00:00Z',
+    locale: 'fi',
+    customer: { locale: 'ru' },
+    totalDiscountsSet: { shopMoney: { amount: '5.00' } },
+    discountCodes: ['SPRING'],
+    paymentTerms: { name: 'Net 30', type: 'NET', dueInDays: 30, dueAt: null },
+    lineItems: { edges: [] }
+  }
+
+  const estonian = service.prepareInvoiceTemplateData({ draftOrder, payload: { locale: 'et-EE' } })
+  assert.strictEqual(estonian.language, 'et')
+  assert.strictEqual(estonian.t('invoice.total'), 'Kokku')
+  assert.strictEqual(estonian.dateOfIssue, '1. märts 2026')
+  assert.strictEqual(estonian.discount.description, 'Sooduskood: SPRING')
+  assert.strictEqual(estonian.discount.amountFormatted, '5,00 €')
+  assert.strictEqual(estonian.paymentTerms.name, 'Maksetähtaeg 30 päeva')
+
+  assert.strictEqual(service.prepareInvoiceTemplateData({ draftOrder }).language, 'fi')
+  assert.strictEqual(service.prepareInvoiceTemplateData({ draftOrder: { ...draftOrder, locale: null } }).language, 'ru')
+})
+
+test('VAT summary groups taxable amounts and VAT by rate across lines and shipping', async (t) => {
+  const service = buildService({ invoice: {} })
+
+  const line = (title, price, rate, tax) => ({
+    node: { title, quantity: 1, originalUnitPrice: price, taxLines: [{ title: 'VAT', rate, price: tax }] }
+  })
+
+  const data = service.prepareInvoiceTemplateData({
+    draftOrder: {
+      name: '#D2',
+      currencyCode: 'EUR',
+      subtotalPrice: '150.00',
+      totalTax: '28.20',
+      totalPrice: '188.20',
+      totalDiscountsSet: { shopMoney: { amount: '50.00' } },
+      appliedDiscount: { title: 'Spring', value: 25, valueType: 'PERCENTAGE' },
+      shippingLine: { price: '10.00', taxLines: [{ rate: 0.24, price: '2.40' }] },
+      lineItems: {
+        edges: [
+          line('Hearing protector', '100.00', 0.24, '18.00'),
+          line('Safety manual', '100.00', 0.09, '6.75'),
+          line('Gift card', '0.00', 0, '0.00')
+        ]
+      }
+    }
+  })
+
+  assert.deepStrictEqual(data.vatSummary.map(({ rateFormatted, taxableAmount, vatAmount }) => [rateFormatted, taxableAmount, vatAmount]), [
+    ['24%', '€85.00', '€20.40'],
+    ['9%', '€75.00', '€6.75']
+  ])
+  assert.strictEqual(data.pricing.vatAmount, '€28.20')
+})
+
+test('page header and footer show the escaped document title and a localized page count', async (t) => {
+  const { createTranslator } = require('../../services/i18n.service')
+  const service = buildService()
+
+  const { headerTemplate, footerTemplate } = service.buildPageTemplates('Quote <INV-EE-113>', createTranslator('et'))
+
+  assert.match(headerTemplate, />Quote &#60;INV-EE-113&#62;</)
+  assert.match(footerTemplate, />Lehekülg <span class="pageNumber"><\/span> \/ <span class="totalPages"><\/span></)
+})
+
+test('order invoices are numbered apart from quote invoices', async (t) => {
+  const service = buildService({ invoice: { prefix: 'INV-EE-' } })
+
+  assert.strictEqual(service.getInvoiceNumber({ name: '#D1001' }), 'INV-EE-1001')
+  assert.strictEqual(service.getInvoiceNumber({ name: '#1001', documentType: 'order' }), 'INV-EE-O1001')
+})
+
+test('order invoices use the configured order invoice prefix', async (t) => {
+  const service = buildService({ invoice: { prefix: 'INV-EE-', orderPrefix: 'ARV-' } })
+
+  assert.strictEqual(service.getInvoiceNumber({ name: '#D1001' }), 'INV-EE-1001')
+  assert.strictEqual(service.getInvoiceNumber({ name: '#1001', documentType: 'order' }), 'ARV-1001')
+})
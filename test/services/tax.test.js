@@ -0,0 +1,35 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const TaxService = require('../../services/tax.service')
+
+function buildService (merchantCountryCode = 'EE') {
+  return new TaxService({ config: { merchant: { countryCode: merchantCountryCode } } })
+}
+
+test('reverse charge applies to VAT-registered buyers in another EU member state', async (t) => {
+  const service = buildService()
+
+  assert.strictEqual(service.isReverseCharge({ countryCode: 'FI', vatId: 'FI12345678' }), true)
+  assert.strictEqual(service.isReverseCharge({ countryCode: 'fi', vatId: 'FI12345678' }), true)
+})
+
+test('reverse charge does not apply to domestic, non-EU or unregistered buyers', async (t) => {
+  const service = buildService()
+
+  assert.strictEqual(service.isReverseCharge({ countryCode: 'EE', vatId: 'EE101295293' }), false)
+  assert.strictEqual(service.isReverseCharge({ countryCode: 'NO', vatId: 'NO123456789MVA' }), false)
+  assert.strictEqual(service.isReverseCharge({ countryCode: 'FI', vatId: '' }), false)
+  assert.strictEqual(buildService('').isReverseCharge({ countryCode: 'FI', vatId: 'FI12345678' }), false)
+})
+
+test('the destination country is the shipping, then billing, then fallback country', async (t) => {
+  const service = buildService()
+
+  assert.strictEqual(service.getDestinationCountryCode({ shippingAddress: { countryCodeV2: 'FI' }, billingAddress: { countryCode: 'EE' } }, 'DE'), 'FI')
+  assert.strictEqual(service.getDestinationCountryCode({ shippingAddress: { address1: 'x' }, billingAddress: { countryCode: 'EE' } }, 'DE'), 'EE')
+  assert.strictEqual(service.getDestinationCountryCode({}, 'DE'), 'DE')
+  assert.strictEqual(service.getDestinationCountryCode({}), null)
+})
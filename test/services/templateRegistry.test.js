@@ -0,0 +1,75 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('node:fs/promises')
+const os = require('node:os')
+const path = require('node:path')
+
+const TemplateRegistryService = require('../../services/templateRegistry.service')
+
+function buildService (templates = {}) {
+  const log = { info () {}, warn () {}, error () {} }
+  return new TemplateRegistryService({ log, config: { templates } })
+}
+
+// Templates directory with an export invoice (with manifest) and a retail invoice (without)
+async function buildTemplatesDirectory (t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  await fs.writeFile(path.join(dir, 'export.ejs'), 'Export <%= invoiceNumber %> to <%= shipTo.country %>')
+  await fs.writeFile(path.join(dir, 'export.json'), JSON.stringify({
+    kind: 'invoice',
+    description: 'Export invoice',
+    requiredFields: ['invoiceNumber', 'shipTo.country']
+  }))
+  await fs.writeFile(path.join(dir, 'retail.ejs'), 'Retail <%= invoiceNumber %>')
+  await fs.writeFile(path.join(dir, 'broken.ejs'), '')
+  await fs.writeFile(path.join(dir, 'broken.json'), '{ not json')
+
+  return dir
+}
+
+test('loadDirectory registers templates with their manifests and skips broken ones', async (t) => {
+  const service = buildService()
+  const dir = await buildTemplatesDirectory(t)
+
+  const loaded = await service.loadDirectory(dir)
+
+  assert.deepStrictEqual(loaded, ['export', 'retail'])
+  assert.deepStrictEqual(service.resolve('invoice', 'export').requiredFields, ['invoiceNumber', 'shipTo.country'])
+  assert.strictEqual(service.resolve('invoice', 'retail').kind, 'invoice')
+})
+
+test('resolve uses the requested template, then the shop default, then the built-in one', async (t) => {
+  const service = buildService({ invoice: 'retail', quote: 'missing' })
+  await service.loadDirectory(await buildTemplatesDirectory(t))
+
+  assert.strictEqual(service.resolve('invoice', 'export').name, 'export')
+  assert.strictEqual(service.resolve('invoice').name, 'retail')
+  assert.strictEqual(service.resolve('quote').name, 'quote')
+
+  assert.throws(() => service.resolve('invoice', 'wholesale'), /Template not found/)
+  assert.throws(() => service.resolve('invoice', 'quote'), /Template not found/)
+})
+
+test('render checks the template data for the required fields', async (t) => {
+  const service = buildService()
+  await service.loadDirectory(await buildTemplatesDirectory(t))
+
+  const html = await service.render('invoice', 'export', { invoiceNumber: 'INV-1', shipTo: { country: 'Norway' } })
+  assert.strictEqual(html, 'Export INV-1 to Norway')
+
+  await assert.rejects(
+    service.render('invoice', 'export', { invoiceNumber: 'INV-1', shipTo: { country: '' } }),
+    /Template data missing: export requires shipTo.country/
+  )
+})
+
+test('register rejects unsafe names and unknown kinds', async (t) => {
+  const service = buildService()
+
+  assert.throws(() => service.register({ name: '../invoice', kind: 'invoice', path: '/tmp/x.ejs' }), /Invalid template/)
+  assert.throws(() => service.register({ name: 'packing-slip', kind: 'slip', path: '/tmp/x.ejs' }), /Invalid template/)
+})
@@ -0,0 +1,75 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const VatValidationService = require('../../services/vatValidation.service')
+const { StubViesClient } = require('../../services/viesClient')
+
+const log = { info () {}, warn () {}, error () {} }
+
+// Counts lookups and answers from a scripted list (an Error entry is thrown)
+function scriptedClient (answers) {
+  return {
+    source: 'vies',
+    calls: 0,
+    async checkVat (prefix, number) {
+      this.calls++
+      const answer = answers.shift()
+      if (answer instanceof Error) throw answer
+      return answer
+    }
+  }
+}
+
+test('format checks reject malformed VAT IDs without a lookup', async (t) => {
+  const client = scriptedClient([])
+  const service = new VatValidationService({ log, config: {} }, client)
+
+  assert.strictEqual(service.isValidFormat('EE 101 295 293'), true)
+  assert.strictEqual(service.isValidFormat('NL123456789B01'), true)
+  assert.strictEqual(service.isValidFormat('FI1234567'), false)
+  assert.strictEqual(service.isValidFormat('US123456789'), false)
+
+  const result = await service.validate('FI1234567')
+  assert.strictEqual(result.valid, false)
+  assert.strictEqual(result.source, 'format')
+  assert.strictEqual(client.calls, 0)
+})
+
+test('validate normalizes the VAT ID and caches definitive answers', async (t) => {
+  const client = scriptedClient([{ valid: true, name: 'OY EXAMPLE AB', address: 'Helsinki' }])
+  const service = new VatValidationService({ log, config: {} }, client)
+
+  const first = await service.validate('fi-1234 5678')
+  const second = await service.validate('FI12345678')
+
+  assert.strictEqual(first.vatId, 'FI12345678')
+  assert.strictEqual(first.countryCode, 'FI')
+  assert.strictEqual(first.valid, true)
+  assert.strictEqual(first.name, 'OY EXAMPLE AB')
+  assert.strictEqual(second.valid, true)
+  assert.strictEqual(client.calls, 1)
+})
+
+test('validate reports unavailable lookups as unverified and does not cache them', async (t) => {
+  const client = scriptedClient([new Error('VIES unavailable: MS_UNAVAILABLE'), { valid: false }])
+  const service = new VatValidationService({ log, config: {} }, client)
+
+  const unavailable = await service.validate('EL123456789')
+  assert.strictEqual(unavailable.valid, null)
+  assert.strictEqual(unavailable.source, 'unavailable')
+  assert.strictEqual(unavailable.countryCode, 'GR')
+
+  const retried = await service.validate('EL123456789')
+  assert.strictEqual(retried.valid, false)
+  assert.strictEqual(client.calls, 2)
+})
+
+test('the stub backend is used by default and reports configured IDs as invalid', async (t) => {
+  const service = new VatValidationService({ log, config: { vatValidation: { backend: 'stub', stubInvalid: ['DE123456789'] } } })
+
+  assert.ok(service.client instanceof StubViesClient)
+  assert.strictEqual((await service.validate('DE987654321')).valid, true)
+  assert.strictEqual((await service.validate('DE123456789')).valid, false)
+})